@@ -4,456 +4,6263 @@
  * @version 1.1.0
  */
 
+/**
+ * Escape a value for safe insertion into HTML
+ */
+function escapeHTML(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Markup produced by the `html` tag; it is not escaped again when interpolated
+ */
+class SWISafeHTML {
+  constructor(value) {
+    this.value = String(value);
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+/**
+ * Convert an interpolated template value to escaped markup
+ */
+function toSafeHTML(value) {
+  if (value instanceof SWISafeHTML) {
+    return value.value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(toSafeHTML).join('');
+  }
+  // Allow `${condition && html`...`}` without rendering "false"
+  if (value === false) {
+    return '';
+  }
+  return escapeHTML(value);
+}
+
+/**
+ * Tagged template that escapes every interpolated value
+ * Usage: html`<h3>${item.name}</h3>`; nested html`` results and arrays of them are kept as markup.
+ */
+function html(strings, ...values) {
+  return new SWISafeHTML(strings.reduce((result, string, index) => {
+    return result + string + (index < values.length ? toSafeHTML(values[index]) : '');
+  }, ''));
+}
+
+/**
+ * Mark a trusted string as markup so `html` does not escape it
+ */
+html.raw = (value) => new SWISafeHTML(value === undefined || value === null ? '' : value);
+
+const UNSAFE_ELEMENTS = 'script, iframe, object, embed, base, link, meta, frame, frameset';
+const URL_ATTRIBUTES = ['href', 'src', 'action', 'formaction', 'xlink:href', 'srcdoc'];
+
+/**
+ * Check whether a URL attribute value uses a script-capable scheme
+ */
+function isUnsafeURL(value) {
+  const normalized = String(value).replace(/[\u0000-\u0020]/g, '').toLowerCase();
+  return /^(javascript|vbscript):/.test(normalized)
+    || (normalized.startsWith('data:') && !/^data:image\/(png|gif|jpe?g|webp|avif);/.test(normalized));
+}
+
+/**
+ * Basic built-in sanitizer: strips script-capable elements, event handler
+ * attributes and javascript: URLs. Use DOMPurify for untrusted rich content.
+ */
+function sanitizeHTML(htmlString) {
+  const template = document.createElement('template');
+  template.innerHTML = String(htmlString);
+
+  template.content.querySelectorAll(UNSAFE_ELEMENTS).forEach(element => element.remove());
+  template.content.querySelectorAll('*').forEach(element => {
+    Array.from(element.attributes).forEach(attribute => {
+      const name = attribute.name.toLowerCase();
+      if (name.startsWith('on') || (URL_ATTRIBUTES.includes(name) && isUnsafeURL(attribute.value))) {
+        element.removeAttribute(attribute.name);
+      }
+    });
+  });
+
+  return template.innerHTML;
+}
+
+/**
+ * Convert a CSV cell to a number, boolean or null where it clearly is one
+ */
+function coerceValue(value) {
+  const trimmed = value.trim();
+  if (/^-?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/.test(trimmed) && !/^-?0\d/.test(trimmed)) {
+    return Number(trimmed);
+  }
+  if (trimmed === 'true' || trimmed === 'false') {
+    return trimmed === 'true';
+  }
+  if (trimmed === 'null') {
+    return null;
+  }
+  return value;
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, line breaks in quotes)
+ * The first row is the header unless `headers` is given.
+ */
+function parseCSV(text, options = {}) {
+  const delimiter = options.delimiter || ',';
+  const coerce = options.coerce !== false;
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let i = 0;
+
+  // Skip a byte order mark
+  const input = String(text).replace(/^\uFEFF/, '');
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 2;
+        continue;
+      }
+      if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+      i++;
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+      if (char === '\r' && input[i + 1] === '\n') i++;
+    } else {
+      field += char;
+    }
+    i++;
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Ignore blank lines
+  const records = rows.filter(cells => cells.length > 1 || cells[0].trim() !== '');
+  const headers = options.headers || (records.shift() || []).map(header => header.trim());
+
+  return records.map(cells => {
+    const item = {};
+    headers.forEach((header, index) => {
+      const value = cells[index] === undefined ? '' : cells[index];
+      item[header] = coerce ? coerceValue(value) : value;
+    });
+    return item;
+  });
+}
+
+/**
+ * Parse newline-delimited JSON (one object per line)
+ */
+function parseNDJSON(text) {
+  return String(text).split(/\r?\n/).reduce((items, line, index) => {
+    if (line.trim() === '') return items;
+    try {
+      items.push(JSON.parse(line));
+    } catch (error) {
+      throw new Error(`Invalid NDJSON on line ${index + 1}: ${error.message}`);
+    }
+    return items;
+  }, []);
+}
+
+/**
+ * Built-in data format parsers; each receives the response text and the format options
+ */
+const DATA_FORMATS = {
+  json: (text) => JSON.parse(text),
+  csv: (text, options) => parseCSV(text, options.csv),
+  ndjson: parseNDJSON
+};
+
+/**
+ * Collect the paths of the leaf values of an object ("author.name", "meta['a.b']")
+ * Arrays and dates are leaves.
+ */
+function getLeafPaths(value, prefix = '', paths = []) {
+  const isBranch = value !== null && typeof value === 'object' && !Array.isArray(value)
+    && !(value instanceof Date) && Object.keys(value).length > 0;
+
+  if (!isBranch) {
+    if (prefix) paths.push(prefix);
+    return paths;
+  }
+
+  Object.keys(value).forEach(key => {
+    const segment = /^[^.[\]'"]+$/.test(key) ? (prefix ? `.${key}` : key) : `['${key}']`;
+    getLeafPaths(value[key], prefix + segment, paths);
+  });
+  return paths;
+}
+
+/**
+ * Export columns for fields (paths, functions or { key, label }), or every
+ * leaf path found in the items when fields is empty
+ */
+function getExportColumns(items, fields) {
+  if (!fields || fields.length === 0) {
+    const paths = new Set();
+    items.forEach(item => getLeafPaths(item).forEach(path => paths.add(path)));
+    fields = Array.from(paths);
+  }
+
+  return fields.map((field, index) => {
+    const config = typeof field === 'string' || typeof field === 'function' ? { key: field } : field;
+    return {
+      label: config.label || (typeof config.key === 'string' ? config.key : `field${index + 1}`),
+      get: typeof config.key === 'function' ? config.key : (item) => resolvePath(item, config.key)
+    };
+  });
+}
+
+/**
+ * Serialize rows (arrays of values) to CSV, quoting fields that contain the
+ * delimiter, quotes, line breaks or surrounding spaces
+ */
+function stringifyCSV(rows, options = {}) {
+  const delimiter = options.delimiter || ',';
+  const escapeFormulas = options.escapeFormulas !== false;
+
+  const formatField = (value) => {
+    let text;
+    if (value === undefined || value === null) {
+      text = '';
+    } else if (value instanceof Date) {
+      text = value.toISOString();
+    } else if (Array.isArray(value) && value.every(entry => entry === null || typeof entry !== 'object')) {
+      text = value.join(', ');
+    } else if (typeof value === 'object') {
+      text = JSON.stringify(value);
+    } else {
+      text = String(value);
+    }
+
+    // Keep spreadsheet apps from evaluating text cells as formulas
+    if (escapeFormulas && typeof value === 'string' && /^[=+\-@\t\r]/.test(text) && isNaN(Number(text))) {
+      text = `'${text}`;
+    }
+
+    return text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim()
+      ? `"${text.replace(/"/g, '""')}"`
+      : text;
+  };
+
+  return rows.map(row => row.map(formatField).join(delimiter)).join('\r\n');
+}
+
+/**
+ * Built-in export formats; serialize receives the items, the columns (null for
+ * JSON without fields) and the export options
+ */
+const EXPORT_FORMATS = {
+  csv: {
+    type: 'text/csv',
+    extension: 'csv',
+    serialize: (items, columns, options) => {
+      const resolved = columns || getExportColumns(items);
+      const rows = items.map(item => resolved.map(column => column.get(item)));
+      return stringifyCSV([resolved.map(column => column.label)].concat(rows), options);
+    }
+  },
+  json: {
+    type: 'application/json',
+    extension: 'json',
+    serialize: (items, columns) => JSON.stringify(columns ? toExportRecords(items, columns) : items, null, 2)
+  },
+  ndjson: {
+    type: 'application/x-ndjson',
+    extension: 'ndjson',
+    serialize: (items, columns) => (columns ? toExportRecords(items, columns) : items)
+      .map(item => JSON.stringify(item))
+      .join('\n')
+  }
+};
+
+/**
+ * Map items to plain objects keyed by column label
+ */
+function toExportRecords(items, columns) {
+  return items.map(item => columns.reduce((record, column) => {
+    record[column.label] = column.get(item);
+    return record;
+  }, {}));
+}
+
+/**
+ * Built-in UI message bundles keyed by language. Values are strings with {placeholders},
+ * plural forms keyed by Intl.PluralRules category (plus an exact "zero") or functions.
+ */
+const MESSAGES = {
+  en: {
+    loading: 'Loading data...',
+    error: 'Failed to load data',
+    retry: 'Retry',
+    emptyTitle: 'No Results',
+    noData: 'No data available',
+    noResults: 'No results found. Try a different search term.',
+    resultsFound: { zero: 'No results found', one: '{count} result found', other: '{count} results found' },
+    summary: 'Showing {start}–{end} of {total}',
+    summaryEmpty: 'No results',
+    showing: 'Showing {shown} of {total}',
+    pageOf: 'Page {page} of {totalPages}',
+    pagination: 'Pagination',
+    first: 'First',
+    firstPage: 'First page',
+    previous: 'Previous',
+    previousPage: 'Previous page',
+    next: 'Next',
+    nextPage: 'Next page',
+    last: 'Last',
+    lastPage: 'Last page',
+    page: 'Page {page}',
+    goToPage: 'Go to',
+    perPage: 'Per page',
+    loadMore: 'Load more',
+    facetAll: 'All',
+    groupOther: 'Other',
+    groupContinued: '(continued)'
+  },
+  ms: {
+    loading: 'Memuatkan data...',
+    error: 'Gagal memuatkan data',
+    retry: 'Cuba lagi',
+    emptyTitle: 'Tiada Hasil',
+    noData: 'Tiada data tersedia',
+    noResults: 'Tiada hasil ditemui. Cuba kata carian lain.',
+    resultsFound: { zero: 'Tiada hasil ditemui', other: '{count} hasil ditemui' },
+    summary: 'Memaparkan {start}–{end} daripada {total}',
+    summaryEmpty: 'Tiada hasil',
+    showing: 'Memaparkan {shown} daripada {total}',
+    pageOf: 'Halaman {page} daripada {totalPages}',
+    pagination: 'Penomboran halaman',
+    first: 'Pertama',
+    firstPage: 'Halaman pertama',
+    previous: 'Sebelumnya',
+    previousPage: 'Halaman sebelumnya',
+    next: 'Seterusnya',
+    nextPage: 'Halaman seterusnya',
+    last: 'Terakhir',
+    lastPage: 'Halaman terakhir',
+    page: 'Halaman {page}',
+    goToPage: 'Pergi ke',
+    perPage: 'Setiap halaman',
+    loadMore: 'Muat lagi',
+    facetAll: 'Semua',
+    groupOther: 'Lain-lain',
+    groupContinued: '(sambungan)'
+  },
+  id: {
+    loading: 'Memuat data...',
+    error: 'Gagal memuat data',
+    retry: 'Coba lagi',
+    emptyTitle: 'Tidak Ada Hasil',
+    noData: 'Tidak ada data',
+    noResults: 'Tidak ada hasil. Coba kata kunci lain.',
+    resultsFound: { zero: 'Tidak ada hasil', other: '{count} hasil ditemukan' },
+    summary: 'Menampilkan {start}–{end} dari {total}',
+    summaryEmpty: 'Tidak ada hasil',
+    showing: 'Menampilkan {shown} dari {total}',
+    pageOf: 'Halaman {page} dari {totalPages}',
+    pagination: 'Navigasi halaman',
+    first: 'Pertama',
+    firstPage: 'Halaman pertama',
+    previous: 'Sebelumnya',
+    previousPage: 'Halaman sebelumnya',
+    next: 'Berikutnya',
+    nextPage: 'Halaman berikutnya',
+    last: 'Terakhir',
+    lastPage: 'Halaman terakhir',
+    page: 'Halaman {page}',
+    goToPage: 'Ke halaman',
+    perPage: 'Per halaman',
+    loadMore: 'Muat lebih banyak',
+    facetAll: 'Semua',
+    groupOther: 'Lainnya',
+    groupContinued: '(lanjutan)'
+  },
+  fr: {
+    loading: 'Chargement des données...',
+    error: 'Échec du chargement des données',
+    retry: 'Réessayer',
+    emptyTitle: 'Aucun résultat',
+    noData: 'Aucune donnée disponible',
+    noResults: 'Aucun résultat. Essayez un autre terme de recherche.',
+    resultsFound: { zero: 'Aucun résultat', one: '{count} résultat trouvé', other: '{count} résultats trouvés' },
+    summary: '{start}–{end} sur {total}',
+    summaryEmpty: 'Aucun résultat',
+    showing: '{shown} sur {total} affichés',
+    pageOf: 'Page {page} sur {totalPages}',
+    pagination: 'Pagination',
+    first: 'Première',
+    firstPage: 'Première page',
+    previous: 'Précédent',
+    previousPage: 'Page précédente',
+    next: 'Suivant',
+    nextPage: 'Page suivante',
+    last: 'Dernière',
+    lastPage: 'Dernière page',
+    page: 'Page {page}',
+    goToPage: 'Aller à',
+    perPage: 'Par page',
+    loadMore: 'Charger plus',
+    facetAll: 'Tous',
+    groupOther: 'Autre',
+    groupContinued: '(suite)'
+  },
+  de: {
+    loading: 'Daten werden geladen...',
+    error: 'Daten konnten nicht geladen werden',
+    retry: 'Erneut versuchen',
+    emptyTitle: 'Keine Ergebnisse',
+    noData: 'Keine Daten verfügbar',
+    noResults: 'Keine Ergebnisse gefunden. Versuchen Sie einen anderen Suchbegriff.',
+    resultsFound: { zero: 'Keine Ergebnisse gefunden', one: '{count} Ergebnis gefunden', other: '{count} Ergebnisse gefunden' },
+    summary: '{start}–{end} von {total}',
+    summaryEmpty: 'Keine Ergebnisse',
+    showing: '{shown} von {total} angezeigt',
+    pageOf: 'Seite {page} von {totalPages}',
+    pagination: 'Seitennavigation',
+    first: 'Erste',
+    firstPage: 'Erste Seite',
+    previous: 'Zurück',
+    previousPage: 'Vorherige Seite',
+    next: 'Weiter',
+    nextPage: 'Nächste Seite',
+    last: 'Letzte',
+    lastPage: 'Letzte Seite',
+    page: 'Seite {page}',
+    goToPage: 'Gehe zu',
+    perPage: 'Pro Seite',
+    loadMore: 'Mehr laden',
+    facetAll: 'Alle',
+    groupOther: 'Sonstige',
+    groupContinued: '(Fortsetzung)'
+  },
+  es: {
+    loading: 'Cargando datos...',
+    error: 'No se pudieron cargar los datos',
+    retry: 'Reintentar',
+    emptyTitle: 'Sin resultados',
+    noData: 'No hay datos disponibles',
+    noResults: 'No se encontraron resultados. Prueba con otro término de búsqueda.',
+    resultsFound: { zero: 'No se encontraron resultados', one: '{count} resultado encontrado', other: '{count} resultados encontrados' },
+    summary: 'Mostrando {start}–{end} de {total}',
+    summaryEmpty: 'Sin resultados',
+    showing: 'Mostrando {shown} de {total}',
+    pageOf: 'Página {page} de {totalPages}',
+    pagination: 'Paginación',
+    first: 'Primera',
+    firstPage: 'Primera página',
+    previous: 'Anterior',
+    previousPage: 'Página anterior',
+    next: 'Siguiente',
+    nextPage: 'Página siguiente',
+    last: 'Última',
+    lastPage: 'Última página',
+    page: 'Página {page}',
+    goToPage: 'Ir a',
+    perPage: 'Por página',
+    loadMore: 'Cargar más',
+    facetAll: 'Todos',
+    groupOther: 'Otros',
+    groupContinued: '(continuación)'
+  },
+  tr: {
+    loading: 'Veriler yükleniyor...',
+    error: 'Veriler yüklenemedi',
+    retry: 'Tekrar dene',
+    emptyTitle: 'Sonuç Yok',
+    noData: 'Veri yok',
+    noResults: 'Sonuç bulunamadı. Farklı bir arama terimi deneyin.',
+    resultsFound: { zero: 'Sonuç bulunamadı', other: '{count} sonuç bulundu' },
+    summary: '{total} sonuçtan {start}–{end} arası',
+    summaryEmpty: 'Sonuç yok',
+    showing: '{total} sonuçtan {shown} tanesi gösteriliyor',
+    pageOf: 'Sayfa {page}/{totalPages}',
+    pagination: 'Sayfalama',
+    first: 'İlk',
+    firstPage: 'İlk sayfa',
+    previous: 'Önceki',
+    previousPage: 'Önceki sayfa',
+    next: 'Sonraki',
+    nextPage: 'Sonraki sayfa',
+    last: 'Son',
+    lastPage: 'Son sayfa',
+    page: 'Sayfa {page}',
+    goToPage: 'Git',
+    perPage: 'Sayfa başına',
+    loadMore: 'Daha fazla yükle',
+    facetAll: 'Tümü',
+    groupOther: 'Diğer',
+    groupContinued: '(devamı)'
+  }
+};
+
+// Letters without a canonical decomposition that should still match their base letter
+const FOLDED_LETTERS = { 'ı': 'i', 'ł': 'l', 'ø': 'o', 'đ': 'd', 'ħ': 'h' };
+
+/**
+ * Fold text for matching: locale-aware lowercase and, unless ignoreDiacritics is false,
+ * without accents ("Café" and "CAFE" both become "cafe", Turkish "İzmir" becomes "izmir").
+ * Every UTF-16 unit maps to exactly one unit, so match offsets still apply to the original.
+ */
+function foldText(value, locale, ignoreDiacritics = true) {
+  const text = String(value);
+
+  // ASCII only lowercases differently in Turkic locales, where dotless ı folds back to i
+  if (!/[^\u0000-\u007f]/.test(text) && (ignoreDiacritics || !locale)) {
+    return text.toLowerCase();
+  }
+
+  return text.replace(/[A-Z\u0080-\uffff]/g, (char) => {
+    let folded = char;
+    if (ignoreDiacritics && folded.normalize) {
+      // Only strip combining marks, so e.g. Hangul syllables are not split into jamo
+      const decomposed = folded.normalize('NFD');
+      if (/^[^\u0300-\u036f][\u0300-\u036f]+$/.test(decomposed)) {
+        folded = decomposed[0];
+      }
+    }
+    folded = locale ? folded.toLocaleLowerCase(locale) : folded.toLowerCase();
+    if (ignoreDiacritics && FOLDED_LETTERS[folded]) {
+      folded = FOLDED_LETTERS[folded];
+    }
+    // e.g. "İ" lowercases to "i" plus a combining dot
+    return folded.length === 1 ? folded : folded.charAt(0);
+  });
+}
+
+/**
+ * Search worker entry point. It is serialized into a Blob, so it must not use
+ * anything from the enclosing module.
+ * Indexes every suffix of every token, so a prefix lookup over the sorted suffixes
+ * finds tokens containing a query term; candidates are then verified with the same
+ * substring test as the synchronous "contains" search.
+ */
+function searchWorkerMain() {
+  let texts = [];
+  let postings = new Map();
+  let suffixes = [];
+  let pending = null;
+
+  const tokenize = (text) => text.split(/[^a-z0-9\u00c0-\uffff]+/).filter(Boolean);
+
+  const buildIndex = (list) => {
+    const suffixTokens = new Map();
+    texts = list;
+    postings = new Map();
+
+    list.forEach((text, index) => {
+      tokenize(text).forEach(token => {
+        let items = postings.get(token);
+        if (!items) {
+          items = [];
+          postings.set(token, items);
+          for (let i = 0; i < token.length; i++) {
+            const suffix = token.slice(i);
+            if (!suffixTokens.has(suffix)) suffixTokens.set(suffix, []);
+            suffixTokens.get(suffix).push(token);
+          }
+        }
+        if (items[items.length - 1] !== index) items.push(index);
+      });
+    });
+
+    suffixes = Array.from(suffixTokens.keys()).sort().map(suffix => [suffix, suffixTokens.get(suffix)]);
+  };
+
+  const lowerBound = (term) => {
+    let low = 0;
+    let high = suffixes.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (suffixes[middle][0] < term) low = middle + 1;
+      else high = middle;
+    }
+    return low;
+  };
+
+  const findCandidates = (term) => {
+    const found = new Set();
+    for (let i = lowerBound(term); i < suffixes.length && suffixes[i][0].startsWith(term); i++) {
+      suffixes[i][1].forEach(token => postings.get(token).forEach(index => found.add(index)));
+    }
+    return found;
+  };
+
+  const search = (query) => {
+    let candidates = null;
+    tokenize(query).forEach(term => {
+      const found = findCandidates(term);
+      candidates = candidates === null ? found : new Set(Array.from(candidates).filter(index => found.has(index)));
+    });
+
+    const pool = candidates === null
+      ? texts.map((text, index) => index)
+      : Array.from(candidates).sort((a, b) => a - b);
+    return pool.filter(index => texts[index].indexOf(query) !== -1);
+  };
+
+  self.onmessage = (event) => {
+    const message = event.data;
+
+    if (message.type === 'index') {
+      buildIndex(message.texts);
+      return;
+    }
+
+    if (message.type === 'search') {
+      // Only the latest queued query runs; older ones are already stale
+      const scheduled = pending !== null;
+      pending = message;
+      if (scheduled) return;
+
+      setTimeout(() => {
+        const current = pending;
+        pending = null;
+        self.postMessage({ type: 'results', id: current.id, indices: search(current.query) });
+      }, 0);
+    }
+  };
+}
+
+const CACHE_DB_NAME = 'swi-cache';
+const CACHE_STORE_NAME = 'sources';
+const CACHE_PREFIX = 'swi-cache:';
+
+/**
+ * Persistent store for cached sources: IndexedDB, falling back to localStorage
+ */
+class SWICacheStore {
+  constructor(storage = 'auto') {
+    this.storage = storage;
+    this.dbPromise = null;
+  }
+
+  /**
+   * Open the database once; resolves to null when IndexedDB is unavailable
+   */
+  _openDB() {
+    if (this.storage === 'localStorage' || typeof indexedDB === 'undefined') {
+      return Promise.resolve(null);
+    }
+
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve) => {
+        try {
+          const request = indexedDB.open(CACHE_DB_NAME, 1);
+          request.onupgradeneeded = () => request.result.createObjectStore(CACHE_STORE_NAME);
+          request.onsuccess = () => resolve(request.result);
+          // Private browsing modes may refuse IndexedDB
+          request.onerror = () => resolve(null);
+        } catch (error) {
+          resolve(null);
+        }
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a single object store request
+   */
+  _request(db, mode, run) {
+    return new Promise((resolve, reject) => {
+      const request = run(db.transaction(CACHE_STORE_NAME, mode).objectStore(CACHE_STORE_NAME));
+      request.onsuccess = () => resolve(request.result === undefined ? null : request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Utility: Get localStorage, or null where it is missing or blocked
+   */
+  _localStorage() {
+    try {
+      return typeof localStorage === 'undefined' ? null : localStorage;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async get(key) {
+    const db = await this._openDB();
+    if (db) {
+      return this._request(db, 'readonly', store => store.get(key));
+    }
+
+    const storage = this._localStorage();
+    const value = storage && storage.getItem(CACHE_PREFIX + key);
+    return value ? JSON.parse(value) : null;
+  }
+
+  async set(key, entry) {
+    const db = await this._openDB();
+    if (db) {
+      await this._request(db, 'readwrite', store => store.put(entry, key));
+      return;
+    }
+
+    const storage = this._localStorage();
+    if (!storage) return;
+    try {
+      storage.setItem(CACHE_PREFIX + key, JSON.stringify(entry));
+    } catch (error) {
+      // Quota exceeded: the source is simply not cached
+      console.warn('SWI: Could not cache data', error);
+    }
+  }
+
+  async delete(key) {
+    const db = await this._openDB();
+    if (db) {
+      await this._request(db, 'readwrite', store => store.delete(key));
+      return;
+    }
+
+    const storage = this._localStorage();
+    if (storage) storage.removeItem(CACHE_PREFIX + key);
+  }
+
+  async clear() {
+    const db = await this._openDB();
+    if (db) {
+      await this._request(db, 'readwrite', store => store.clear());
+    }
+
+    // Also remove fallback entries that may have been written earlier
+    const storage = this._localStorage();
+    if (!storage) return;
+    Object.keys(storage)
+      .filter(key => key.startsWith(CACHE_PREFIX))
+      .forEach(key => storage.removeItem(key));
+  }
+}
+
+const cacheStores = new Map();
+
+/**
+ * Get the shared cache store for a storage type
+ */
+function getCacheStore(storage = 'auto') {
+  if (!cacheStores.has(storage)) {
+    cacheStores.set(storage, new SWICacheStore(storage));
+  }
+  return cacheStores.get(storage);
+}
+
+/**
+ * Resolve a dot/bracket path such as "author.name", "tags[0]" or "meta['key']"
+ */
+function resolvePath(object, path) {
+  if (path === undefined || path === null || path === '') {
+    return undefined;
+  }
+
+  const segments = [];
+  String(path).replace(/[^.[\]]+|\[(?:(-?\d+)|(["'])(.*?)\2)\]/g, (match, index, quote, key) => {
+    segments.push(index !== undefined ? index : (quote ? key : match));
+    return match;
+  });
+
+  return segments.reduce((value, segment) => {
+    return value === undefined || value === null ? undefined : value[segment];
+  }, object);
+}
+
+/**
+ * Error raised for malformed structured queries
+ */
+class SWIQueryError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.name = 'SWIQueryError';
+    this.position = position;
+  }
+}
+
+/**
+ * Structured query parser
+ * Supports field:value terms, "quoted phrases", -negation / NOT, OR / |,
+ * (grouping), comparisons (price:<100, date:>=2024-01-01) and ranges (price:10..50).
+ * Whitespace means AND; OR binds tighter than AND.
+ */
+class SWIQueryParser {
+  /**
+   * Parse a query string into an AST
+   */
+  static parse(query) {
+    const parser = new SWIQueryParser(SWIQueryParser.tokenize(String(query || '')));
+    if (parser.tokens.length === 0) {
+      return { type: 'and', nodes: [] };
+    }
+
+    const ast = parser.parseAnd();
+    if (parser.peek()) {
+      throw new SWIQueryError('Unexpected ")"', parser.peek().position);
+    }
+    return ast;
+  }
+
+  /**
+   * Split a query string into tokens
+   */
+  static tokenize(query) {
+    const tokens = [];
+    let i = 0;
+
+    const readQuoted = (start) => {
+      const end = query.indexOf('"', start + 1);
+      if (end === -1) {
+        throw new SWIQueryError('Unclosed quote', start);
+      }
+      return { value: query.slice(start + 1, end), next: end + 1 };
+    };
+
+    while (i < query.length) {
+      const char = query[i];
+
+      if (/\s/.test(char)) {
+        i++;
+      } else if (char === '(' || char === ')') {
+        tokens.push({ type: char, position: i });
+        i++;
+      } else if (char === '|') {
+        tokens.push({ type: 'OR', position: i });
+        i++;
+      } else if (char === '-' && i + 1 < query.length && !/\s/.test(query[i + 1])) {
+        tokens.push({ type: 'NOT', position: i });
+        i++;
+      } else if (char === '"') {
+        const { value, next } = readQuoted(i);
+        tokens.push({ type: 'TERM', position: i, field: null, op: null, value, phrase: true });
+        i = next;
+      } else {
+        const start = i;
+        while (i < query.length && !/[\s()"]/.test(query[i])) {
+          i++;
+        }
+        const word = query.slice(start, i);
+
+        if (word === 'OR') {
+          tokens.push({ type: 'OR', position: start });
+        } else if (word === 'NOT') {
+          tokens.push({ type: 'NOT', position: start });
+        } else if (word !== 'AND') {
+          const fieldMatch = word.match(/^([\w.\[\]-]+):(.*)$/);
+
+          if (!fieldMatch) {
+            tokens.push({ type: 'TERM', position: start, field: null, op: null, value: word, phrase: false });
+          } else {
+            let value = fieldMatch[2];
+            let phrase = false;
+
+            // field:"quoted value"
+            if (value === '' && query[i] === '"') {
+              const quoted = readQuoted(i);
+              value = quoted.value;
+              phrase = true;
+              i = quoted.next;
+            }
+
+            tokens.push(SWIQueryParser.createFieldTerm(fieldMatch[1], value, phrase, start));
+          }
+        }
+      }
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Build a field term, extracting comparison operators and ranges
+   */
+  static createFieldTerm(field, rawValue, phrase, position) {
+    let op = null;
+    let value = rawValue;
+
+    if (!phrase) {
+      const opMatch = value.match(/^(<=|>=|<|>|=)(.*)$/);
+      const rangeMatch = value.match(/^([^.]+)\.\.([^.]+)$/);
+
+      if (opMatch) {
+        op = opMatch[1];
+        value = opMatch[2];
+      } else if (rangeMatch) {
+        op = '..';
+        value = [rangeMatch[1], rangeMatch[2]];
+      }
+    }
+
+    if (value === '' || (Array.isArray(value) && value.some(bound => bound === ''))) {
+      throw new SWIQueryError(`Missing value for "${field}"`, position);
+    }
+
+    if (op && op !== '=') {
+      const bounds = Array.isArray(value) ? value : [value];
+      if (bounds.some(bound => SWIQueryParser.toComparable(bound) === null)) {
+        throw new SWIQueryError(`"${field}:${rawValue}" expects a number or date`, position);
+      }
+    }
+
+    return { type: 'TERM', position, field, op, value, phrase };
+  }
+
+  /**
+   * Convert a value to a number (numbers and ISO dates) or null
+   */
+  static toComparable(value) {
+    if (typeof value === 'number') {
+      return value;
+    }
+    if (value instanceof Date) {
+      return value.getTime();
+    }
+
+    const text = String(value).trim();
+    if (/^-?\d+(\.\d+)?$/.test(text)) {
+      return parseFloat(text);
+    }
+    if (/^\d{4}-\d{2}(-\d{2})?/.test(text) && !isNaN(Date.parse(text))) {
+      return Date.parse(text);
+    }
+    return null;
+  }
+
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.index = 0;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  parseAnd() {
+    const nodes = [];
+    while (this.peek() && this.peek().type !== ')') {
+      nodes.push(this.parseOr());
+    }
+    return nodes.length === 1 ? nodes[0] : { type: 'and', nodes };
+  }
+
+  parseOr() {
+    const nodes = [this.parseUnary()];
+    while (this.peek() && this.peek().type === 'OR') {
+      const or = this.next();
+      if (!this.peek() || this.peek().type === ')' || this.peek().type === 'OR') {
+        throw new SWIQueryError('OR needs a term on both sides', or.position);
+      }
+      nodes.push(this.parseUnary());
+    }
+    return nodes.length === 1 ? nodes[0] : { type: 'or', nodes };
+  }
+
+  parseUnary() {
+    const token = this.peek();
+    if (!token) {
+      throw new SWIQueryError('Unexpected end of query', Infinity);
+    }
+
+    if (token.type === 'NOT') {
+      this.next();
+      return { type: 'not', node: this.parseUnary() };
+    }
+
+    if (token.type === '(') {
+      this.next();
+      const node = this.parseAnd();
+      if (!this.peek() || this.peek().type !== ')') {
+        throw new SWIQueryError('Unclosed parenthesis', token.position);
+      }
+      this.next();
+      return node;
+    }
+
+    if (token.type === 'TERM') {
+      this.next();
+      const { field, op, value, phrase } = token;
+      return { type: 'term', field, op, value, phrase };
+    }
+
+    throw new SWIQueryError(token.type === 'OR' ? 'OR needs a term on both sides' : 'Unexpected ")"', token.position);
+  }
+}
+
 class SenangWebsIndex {
+  // Data format parsers; add entries to support more formats
+  static formats = DATA_FORMATS;
+
+  // Export serializers used by export(); add entries to support more formats
+  static exportFormats = EXPORT_FORMATS;
+
+  // UI message bundles by language; add entries for more languages
+  static messages = MESSAGES;
+
+  // Escaping helpers, also reachable as SWI.html etc. from the UMD build
+  static html = html;
+  static escapeHTML = escapeHTML;
+  static sanitizeHTML = sanitizeHTML;
+
   constructor(options = {}) {
     // Validate required options for programmatic initialization
     if (!options.container) {
       throw new Error('SWI: container selector is required');
     }
-    if (!options.data) {
-      throw new Error('SWI: data source is required');
+    if (!options.data) {
+      throw new Error('SWI: data source is required');
+    }
+    if (typeof options.itemTemplate !== 'function' && !Array.isArray(options.columns)) {
+      throw new Error('SWI: itemTemplate function (or columns for a table) is required');
+    }
+
+    // Store configuration - handle both selector strings and direct elements
+    if (typeof options.container === 'string') {
+      this.container = document.querySelector(options.container);
+      if (!this.container) {
+        throw new Error(`SWI: container element not found: ${options.container}`);
+      }
+    } else if (options.container instanceof Element) {
+      this.container = options.container;
+    } else {
+      throw new Error('SWI: container must be a selector string or DOM element');
+    }
+
+    this._configure(options);
+
+    // Initialize
+    this._init();
+  }
+
+  /**
+   * Store options and parsed configuration
+   * Touches no DOM, so renderToString() can use it outside the browser.
+   */
+  _configure(options) {
+    this.dataSource = options.data;
+    this.formatConfig = this._parseFormatConfig(options);
+    this.cacheConfig = this._parseCacheConfig(options.cache);
+    this.itemTemplate = options.itemTemplate;
+    this.data = [];
+    this.filteredData = [];
+    // Initial state (URL sync, when enabled, takes precedence)
+    this.currentPage = Math.max(1, parseInt(options.page, 10) || 1);
+    this.searchQuery = options.query || '';
+    
+    // Adopt server-rendered markup instead of showing the loading state
+    this.hydrate = !!options.hydrate;
+    
+    // Locale for UI messages, numbers, case folding and (by default) sorting
+    this.locale = this._parseLocale(options.locale);
+    this.messages = this._resolveMessages(this.locale, options.messages);
+    
+    // Search configuration
+    this.searchConfig = this._parseSearchConfig(options.search);
+    
+    // Sort configuration
+    this.sortConfig = this._parseSortConfig(options.sort);
+    if (!this.sortConfig.locale) {
+      this.sortConfig.locale = this.locale || undefined;
+    }
+    
+    // Filter and facet configuration
+    this.filters = new Map();
+    Object.keys(options.filters || {}).forEach(key => {
+      this.filters.set(key, this._normalizeFilter(options.filters[key]));
+    });
+    this.facetConfig = this._parseFacetConfig(options.facets);
+    
+    // Pagination configuration
+    this.paginationConfig = this._parsePaginationConfig(options.pagination);
+    
+    // Grouped rendering with section headers
+    this.groupConfig = this._parseGroupConfig(options.groupBy, options.groupTemplate);
+    this.groupTotals = new Map();
+    this.groupSections = new Map();
+    
+    // Results summary ("Showing 11–20 of 342")
+    this.summaryConfig = this._parseSummaryConfig(options.summary);
+    
+    // Layouts: item template views (e.g. grid, list) and a table built from columns
+    this.columns = this._parseColumns(options.columns);
+    this.viewTemplates = options.viewTemplates || {};
+    this.view = options.view || (typeof this.itemTemplate === 'function' ? null : 'table');
+    this.viewToggles = options.viewToggles || null;
+    this.tableElement = null;
+    
+    // Item identity used by the mutation API and keyed rendering
+    this.idKey = options.idKey || null;
+    this.itemNodes = new Map();
+    
+    // Selected items by id, kept across pages, searches and re-renders
+    this.selectionConfig = this._parseSelectionConfig(options.selection);
+    this.selection = new Map();
+    this.selectionAnchor = null;
+    this.elementKeys = new WeakMap();
+    
+    // Sanitizer applied to string item templates
+    this.sanitizer = this._parseSanitizer(options.sanitize);
+    
+    // Loading, empty and error states: custom templates, skeletons and load retries
+    this.loadingConfig = this._parseLoadingConfig(options.loading);
+    this.stateTemplates = {
+      loading: typeof options.loadingTemplate === 'function' ? options.loadingTemplate : null,
+      empty: typeof options.emptyTemplate === 'function' ? options.emptyTemplate : null,
+      error: typeof options.errorTemplate === 'function' ? options.errorTemplate : null
+    };
+    this.retryConfig = this._parseRetryConfig(options.retry);
+    
+    // Accessibility configuration
+    this.a11yConfig = this._parseA11yConfig(options.a11y);
+    this.activeItemIndex = 0;
+    
+    // Virtual scrolling configuration
+    this.virtualConfig = this._parseVirtualConfig(options.virtual);
+    this.virtualState = null;
+    
+    // Remote (server-side) configuration
+    this.remoteConfig = this._parseRemoteConfig(options.remote);
+    this.totalItems = 0;
+    this.remoteController = null;
+    
+    // URL state synchronization
+    this.urlSyncConfig = this._parseUrlSyncConfig(options.urlSync, options.container);
+    
+    // Store event listeners for cleanup
+    this.eventListeners = [];
+    
+    // Lifecycle event handlers and hooks
+    this.eventHandlers = new Map();
+    this.hooks = this._parseHooks(options.hooks);
+    Object.keys(options.on || {}).forEach(event => this.on(event, options.on[event]));
+  }
+
+  /**
+   * Render one page to HTML strings without a DOM, e.g. to prerender listings in Node
+   * Takes the constructor options (data must be an array) including query, page and filters.
+   * Returns { items, pagination, summary, page, pageSize, totalPages, total, start, end, query }.
+   */
+  static renderToString(options = {}) {
+    if (!Array.isArray(options.data)) {
+      throw new Error('SWI: renderToString requires a data array');
+    }
+    if (typeof options.itemTemplate !== 'function' && !Array.isArray(options.columns)) {
+      throw new Error('SWI: itemTemplate function (or columns for a table) is required');
+    }
+
+    const instance = Object.create(SenangWebsIndex.prototype);
+    instance.container = null;
+    instance._configure(options);
+    instance._setLoadedData(instance._normalizeData(options.data));
+    instance._updateFilteredData();
+    instance._clampPage();
+
+    const hook = instance._runHook('beforeRender', instance._getPaginatedData());
+    const items = hook.cancelled ? [] : hook.value;
+    const info = instance.getPageInfo();
+
+    const renderItems = (list) => list.map(item => instance._renderItemToString(item, options.sanitize)).join('\n');
+    const firstIndex = instance.paginationConfig.enabled && instance.paginationConfig.mode === 'pages'
+      ? (info.page - 1) * info.pageSize
+      : 0;
+    const renderGroups = () => instance._groupItems(items, firstIndex).map(group => `
+      <div class="swi-group${group.continued ? ' swi-group-continued' : ''}${group.collapsed ? ' swi-group-collapsed' : ''}" data-swi-group="${escapeHTML(group.key)}">
+        <div class="swi-group-header">${instance._templateResultToString(instance._getGroupHeader(group), options.sanitize)}</div>
+        <div class="swi-group-items" role="list" aria-label="${escapeHTML(group.label)}"${group.collapsed ? ' hidden' : ''}>${renderItems(group.items)}</div>
+      </div>`).join('');
+
+    let itemsHTML = instance._getEmptyStateHTML(options.sanitize);
+    if (items.length > 0 && instance.view === 'table') {
+      itemsHTML = `<table class="swi-table"${instance.a11yConfig.label ? ` aria-label="${escapeHTML(instance.a11yConfig.label)}"` : ''}>`
+        + `<thead>${instance._getTableHeadHTML()}</thead><tbody>${renderItems(items)}</tbody></table>`;
+    } else if (items.length > 0) {
+      itemsHTML = instance.groupConfig.enabled ? renderGroups() : renderItems(items);
+    }
+
+    return {
+      items: itemsHTML,
+      pagination: instance.paginationConfig.enabled && instance.paginationConfig.mode === 'pages' && info.totalPages > 1
+        ? instance._getPaginationHTML(info.totalPages)
+        : '',
+      summary: instance.summaryConfig.enabled ? instance._getSummaryText(info) : '',
+      ...info,
+      query: instance.searchQuery
+    };
+  }
+
+  /**
+   * Render an item to a string (server-side rendering)
+   */
+  _renderItemToString(item, sanitize) {
+    return this._templateResultToString(this._getItemTemplate()(item, this._getTemplateContext(item)), sanitize);
+  }
+
+  /**
+   * Convert a template result (string, `html` result or node) to a string
+   */
+  _templateResultToString(result, sanitize) {
+    if (result && typeof result.outerHTML === 'string') {
+      return result.outerHTML;
+    }
+    if (result instanceof SWISafeHTML) {
+      return result.value.trim();
+    }
+
+    // Only a custom sanitizer function can run without a DOM
+    const htmlString = result === undefined || result === null ? '' : String(result);
+    return (typeof sanitize === 'function' ? String(sanitize(htmlString)) : htmlString).trim();
+  }
+
+  /**
+   * Validate a locale tag, returning null (English messages, runtime default formats) when absent or invalid
+   */
+  _parseLocale(locale) {
+    if (!locale) {
+      return null;
+    }
+    try {
+      'i'.toLocaleLowerCase(locale);
+      return String(locale);
+    } catch (error) {
+      console.warn(`SWI: Invalid locale "${locale}"`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Merge the English messages, the bundles for the locale's language and region,
+   * and custom messages
+   */
+  _resolveMessages(locale, messages) {
+    const bundles = SenangWebsIndex.messages;
+    const tags = locale ? [locale.split('-')[0].toLowerCase(), locale] : [];
+    return Object.assign({}, bundles.en, ...tags.map(tag => bundles[tag]), messages || {});
+  }
+
+  /**
+   * Format a UI message by key
+   */
+  _message(key, params = {}) {
+    return this._formatMessage(this.messages[key], params);
+  }
+
+  /**
+   * Format a message: a function(params), plural forms or a string with {placeholders}
+   * Numbers are formatted for the locale.
+   */
+  _formatMessage(message, params = {}) {
+    if (typeof message === 'function') {
+      return message(params);
+    }
+
+    let template = message;
+    if (template && typeof template === 'object') {
+      const count = Number(params.count);
+      if (!this.pluralRules && typeof Intl.PluralRules !== 'undefined') {
+        this.pluralRules = new Intl.PluralRules(this.locale || 'en');
+      }
+      const category = this.pluralRules ? this.pluralRules.select(count) : (count === 1 ? 'one' : 'other');
+      template = count === 0 && template.zero !== undefined
+        ? template.zero
+        : (template[category] !== undefined ? template[category] : template.other);
+    }
+
+    if (!this.numberFormat) {
+      this.numberFormat = new Intl.NumberFormat(this.locale || 'en');
+    }
+    return String(template === undefined || template === null ? '' : template).replace(/\{(\w+)\}/g, (match, key) => {
+      if (!(key in params)) return match;
+      return typeof params[key] === 'number' ? this.numberFormat.format(params[key]) : params[key];
+    });
+  }
+
+  /**
+   * Fold text for case- and (by default) accent-insensitive matching
+   */
+  _foldText(value) {
+    return foldText(value, this.locale, this.searchConfig.ignoreDiacritics !== false);
+  }
+
+  /**
+   * Parse search configuration
+   */
+  _parseSearchConfig(search) {
+    // search() and an initial query still need keys when no search options are given
+    if (!search || typeof search === 'boolean') {
+      return { ...this._parseSearchConfig({}), enabled: !!search };
+    }
+
+    return {
+      enabled: search.enabled !== false,
+      selector: search.selector || null,
+      searchKey: search.searchKey || (search.weights ? Object.keys(search.weights) : 'name'),
+      mode: search.mode === 'fuzzy' ? 'fuzzy' : 'contains',
+      syntax: !!search.syntax,
+      weights: search.weights || {},
+      typoTolerance: search.typoTolerance !== undefined ? search.typoTolerance : 'auto',
+      // "cafe" matches "Café"; false keeps accents significant
+      ignoreDiacritics: search.ignoreDiacritics !== false,
+      minScore: search.minScore || 0,
+      // Index and search in a Web Worker ("contains" mode, plain queries)
+      worker: search.worker
+        ? { minItems: (search.worker && search.worker.minItems) || 0 }
+        : null,
+      inputElement: null,
+      actionElement: null
+    };
+  }
+
+  /**
+   * Parse pagination configuration
+   */
+  _parsePaginationConfig(pagination) {
+    if (!pagination) {
+      return { enabled: false, itemsPerPage: 10 };
+    }
+
+    if (typeof pagination === 'boolean') {
+      return { enabled: pagination, itemsPerPage: 10, mode: 'pages' };
+    }
+
+    return {
+      enabled: pagination.enabled !== false,
+      selector: pagination.selector || null,
+      itemsPerPage: pagination.itemsPerPage || 10,
+      // 'pages' (numbered buttons), 'loadMore' (button) or 'infinite' (scroll sentinel)
+      mode: ['loadMore', 'infinite'].includes(pagination.mode) ? pagination.mode : 'pages',
+      // Pages shown on each side of the current page and at each end
+      siblings: pagination.siblings !== undefined ? pagination.siblings : 1,
+      boundaries: pagination.boundaries !== undefined ? pagination.boundaries : 1,
+      showFirstLast: pagination.showFirstLast !== false,
+      jumpToPage: !!pagination.jumpToPage,
+      pageSizes: Array.isArray(pagination.pageSizes) ? pagination.pageSizes : null,
+      pageSizeSelector: pagination.pageSizeSelector || null,
+      pageSizeElement: pagination.pageSizeElement || null,
+      containerElement: null
+    };
+  }
+
+  /**
+   * Resolve the sanitize option to a function (or null when disabled)
+   * `true` uses DOMPurify when it is loaded and the built-in sanitizer otherwise.
+   */
+  _parseSanitizer(sanitize) {
+    if (typeof sanitize === 'function') {
+      return sanitize;
+    }
+
+    if (sanitize === true) {
+      if (typeof window !== 'undefined' && window.DOMPurify) {
+        return (htmlString) => window.DOMPurify.sanitize(htmlString);
+      }
+      return sanitizeHTML;
+    }
+
+    return null;
+  }
+
+  /**
+   * Parse loading state configuration
+   * loading may be 'spinner', 'skeleton' or { style, count }.
+   */
+  _parseLoadingConfig(loading) {
+    const config = typeof loading === 'string' ? { style: loading } : (loading || {});
+
+    return {
+      style: config.style === 'skeleton' ? 'skeleton' : 'spinner',
+      // Number of skeleton placeholders
+      count: parseInt(config.count, 10) > 0 ? parseInt(config.count, 10) : 6
+    };
+  }
+
+  /**
+   * Parse automatic retry configuration for failed loads
+   * retry may be true, a number of attempts or { attempts, delay, factor, maxDelay }.
+   */
+  _parseRetryConfig(retry) {
+    if (!retry) {
+      return { attempts: 0 };
+    }
+
+    const config = retry === true ? {} : (typeof retry === 'number' ? { attempts: retry } : retry);
+
+    return {
+      attempts: config.attempts !== undefined ? Math.max(0, parseInt(config.attempts, 10) || 0) : 3,
+      // Exponential backoff: delay, delay * factor, delay * factor², ... capped at maxDelay
+      delay: config.delay !== undefined ? Math.max(0, Number(config.delay) || 0) : 1000,
+      factor: config.factor !== undefined ? Math.max(1, Number(config.factor) || 1) : 2,
+      maxDelay: config.maxDelay !== undefined ? Number(config.maxDelay) : 30000
+    };
+  }
+
+  /**
+   * Parse accessibility configuration
+   */
+  _parseA11yConfig(a11y = {}) {
+    const config = a11y || {};
+
+    return {
+      // Announce result counts and page changes in an aria-live region
+      announce: config.announce !== false,
+      // Move focus to the results after a pagination button is used
+      focusOnPageChange: config.focusOnPageChange !== false,
+      // Roving tabindex with arrow keys across rendered items
+      keyboardNavigation: !!config.keyboardNavigation,
+      label: config.label || null
+    };
+  }
+
+  /**
+   * Parse results summary configuration
+   */
+  _parseSummaryConfig(summary) {
+    if (!summary) {
+      return { enabled: false };
+    }
+
+    const isElement = (value) => typeof Element !== 'undefined' && value instanceof Element;
+    const config = typeof summary === 'string' || isElement(summary) ? { selector: summary } : summary;
+
+    return {
+      enabled: true,
+      selector: typeof config.selector === 'string' ? config.selector : null,
+      element: isElement(config.selector) ? config.selector : (config.element || null),
+      // Template string with {start}, {end}, {total}, {page}, {totalPages} or a function(info)
+      format: config.format || null
+    };
+  }
+
+  /**
+   * Parse virtual scrolling configuration
+   */
+  _parseVirtualConfig(virtual) {
+    if (!virtual) {
+      return { enabled: false };
+    }
+
+    const config = virtual === true ? {} : virtual;
+    const itemHeight = parseFloat(config.itemHeight);
+
+    return {
+      enabled: config.enabled !== false,
+      // Fixed row height in pixels, or measured when omitted / 'auto'
+      itemHeight: isNaN(itemHeight) ? null : itemHeight,
+      estimatedHeight: config.estimatedHeight || 80,
+      height: config.height || '600px',
+      overscan: config.overscan !== undefined ? config.overscan : 5
+    };
+  }
+
+  /**
+   * Parse lifecycle hooks: { beforeRender, afterLoad, beforeSearch }
+   */
+  _parseHooks(hooks = {}) {
+    const parsed = { beforeRender: [], afterLoad: [], beforeSearch: [] };
+
+    Object.keys(hooks || {}).forEach(name => {
+      if (!parsed[name]) {
+        console.warn(`SWI: unknown hook "${name}"`);
+        return;
+      }
+      parsed[name] = [].concat(hooks[name]).filter(hook => typeof hook === 'function');
+    });
+
+    return parsed;
+  }
+
+  /**
+   * Parse data format configuration (format, dataPath, transform, fetchOptions, csv)
+   */
+  _parseFormatConfig(options) {
+    return {
+      // 'auto' picks a parser from the content type or file extension
+      format: options.format || 'auto',
+      dataPath: options.dataPath || null,
+      transform: typeof options.transform === 'function' ? options.transform : null,
+      fetchOptions: options.fetchOptions || {},
+      csv: options.csv || {}
+    };
+  }
+
+  /**
+   * Parse group-by configuration
+   * groupBy may be a key/path, a function(item) or { key, order, collapsible, collapsed, label, emptyLabel }.
+   */
+  _parseGroupConfig(groupBy, groupTemplate) {
+    if (!groupBy) {
+      return { enabled: false };
+    }
+
+    const config = typeof groupBy === 'string' || typeof groupBy === 'function' ? { key: groupBy } : groupBy;
+    const key = config.key;
+
+    return {
+      enabled: true,
+      getKey: typeof key === 'function' ? key : (item) => resolvePath(item, key),
+      // 'asc' (default), 'desc', 'count', 'none' (first appearance), an array of keys or a comparator
+      order: config.order || 'asc',
+      collapsible: config.collapsible !== false,
+      // true collapses every group initially, or an array of group keys
+      collapsed: new Set(Array.isArray(config.collapsed) ? config.collapsed.map(String) : []),
+      collapseAll: config.collapsed === true,
+      label: typeof config.label === 'function' ? config.label : null,
+      emptyLabel: config.emptyLabel || null,
+      template: typeof groupTemplate === 'function' ? groupTemplate : (typeof config.template === 'function' ? config.template : null)
+    };
+  }
+
+  /**
+   * Parse table column definitions
+   * A column is a key/path or { key, header, format, width, sortable, sortKey, align, className }.
+   */
+  _parseColumns(columns) {
+    if (!Array.isArray(columns)) {
+      return [];
+    }
+
+    return columns.map((column, index) => {
+      const config = typeof column === 'string' ? { key: column } : column;
+      const key = config.key;
+
+      return {
+        id: typeof key === 'string' ? key : `column${index + 1}`,
+        header: config.header !== undefined ? config.header : (typeof key === 'string' ? key : ''),
+        get: typeof key === 'function' ? key : (item) => resolvePath(item, key),
+        // format(value, item) returns text, or markup as an html`` result or node
+        format: typeof config.format === 'function' ? config.format : null,
+        width: typeof config.width === 'number' ? `${config.width}px` : (config.width || null),
+        // Sortable headers sort by sortKey, which defaults to a string key
+        sortKey: config.sortable ? (config.sortKey || (typeof key === 'string' ? key : null)) : null,
+        align: ['left', 'center', 'right'].includes(config.align) ? config.align : null,
+        className: config.className || null
+      };
+    });
+  }
+
+  /**
+   * Parse selection configuration
+   * selection may be true, 'single', 'multiple' or { mode, selectOnClick, selectAll, count }.
+   */
+  _parseSelectionConfig(selection) {
+    if (!selection) {
+      return { enabled: false };
+    }
+
+    const config = selection === true ? {} : (typeof selection === 'string' ? { mode: selection } : selection);
+
+    return {
+      enabled: config.enabled !== false,
+      mode: config.mode === 'single' ? 'single' : 'multiple',
+      // Clicking anywhere on an item toggles it, not only its [data-swi-select] control
+      selectOnClick: !!config.selectOnClick,
+      // "Select all matching results" checkbox and selected count (selectors or elements)
+      selectAll: config.selectAll || null,
+      count: config.count || null
+    };
+  }
+
+  /**
+   * Parse source cache configuration
+   */
+  _parseCacheConfig(cache) {
+    if (!cache) {
+      return { enabled: false };
+    }
+
+    const config = cache === true ? {} : (typeof cache === 'number' ? { ttl: cache } : cache);
+
+    return {
+      enabled: config.enabled !== false,
+      // Milliseconds a cached copy is used without asking the server
+      ttl: config.ttl !== undefined ? config.ttl : 5 * 60 * 1000,
+      // Render an expired copy immediately and refresh it in the background
+      staleWhileRevalidate: config.staleWhileRevalidate !== false,
+      // Changing the version invalidates existing entries
+      version: config.version !== undefined ? String(config.version) : '',
+      key: config.key || null,
+      storage: config.storage || 'auto'
+    };
+  }
+
+  /**
+   * Parse remote (server-side) configuration
+   */
+  _parseRemoteConfig(remote) {
+    if (!remote) {
+      return { enabled: false };
+    }
+
+    const config = remote === true ? {} : remote;
+
+    return {
+      enabled: config.enabled !== false,
+      url: config.url || null,
+      buildUrl: typeof config.buildUrl === 'function' ? config.buildUrl : null,
+      params: {
+        query: 'q',
+        page: 'page',
+        pageSize: 'pageSize',
+        sort: 'sort',
+        filter: 'filter',
+        ...(config.params || {})
+      },
+      adapter: typeof config.adapter === 'function' ? config.adapter : null,
+      itemsPath: config.itemsPath || null,
+      totalPath: config.totalPath || null,
+      fetchOptions: config.fetchOptions || {}
+    };
+  }
+
+  /**
+   * Parse URL sync configuration
+   */
+  _parseUrlSyncConfig(urlSync, container) {
+    if (!urlSync) {
+      return { enabled: false };
+    }
+
+    const config = urlSync === true ? {} : (typeof urlSync === 'string' ? { mode: urlSync } : urlSync);
+    const containerId = typeof container === 'string' ? container.replace(/^#/, '') : (container && container.id);
+
+    return {
+      enabled: config.enabled !== false,
+      mode: config.mode === 'hash' ? 'hash' : 'query',
+      prefix: config.prefix || containerId || 'swi',
+      history: config.history === 'replace' ? 'replace' : 'push'
+    };
+  }
+
+  /**
+   * Parse sort configuration
+   */
+  _parseSortConfig(sort) {
+    const config = {
+      criteria: [],
+      locale: undefined,
+      collatorOptions: { numeric: true, sensitivity: 'base' },
+      selector: null,
+      selectElement: null,
+      keyElements: []
+    };
+
+    if (!sort) {
+      return config;
+    }
+
+    // Shorthand: sort: 'price:desc' or sort: [{ key: 'price' }, 'name']
+    if (typeof sort === 'string' || typeof sort === 'function' || Array.isArray(sort)) {
+      config.criteria = this._normalizeSortCriteria(sort);
+      return config;
+    }
+
+    config.criteria = this._normalizeSortCriteria(sort.by || null, sort.direction);
+    config.locale = sort.locale || undefined;
+    config.collatorOptions = { ...config.collatorOptions, ...(sort.collatorOptions || {}) };
+    config.selector = sort.selector || null;
+    return config;
+  }
+
+  /**
+   * Normalize sort arguments into an array of { key, direction, compare, type } criteria
+   */
+  _normalizeSortCriteria(key, direction) {
+    if (key === null || key === undefined || key === '') {
+      return [];
+    }
+
+    if (Array.isArray(key)) {
+      return key.reduce((criteria, entry) => criteria.concat(this._normalizeSortCriteria(entry)), []);
+    }
+
+    if (typeof key === 'function') {
+      return [{ key: null, direction: this._normalizeSortDirection(direction), compare: key, type: null }];
+    }
+
+    if (typeof key === 'string') {
+      // Support comma-separated keys and "key:direction" pairs
+      return key.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+        const [name, dir] = part.split(':').map(token => token.trim());
+        return {
+          key: name,
+          direction: this._normalizeSortDirection(dir || direction),
+          compare: null,
+          type: null
+        };
+      });
+    }
+
+    if (typeof key === 'object') {
+      return [{
+        key: key.key || null,
+        direction: this._normalizeSortDirection(key.direction || direction),
+        compare: typeof key.compare === 'function' ? key.compare : null,
+        type: key.type || null
+      }];
+    }
+
+    throw new Error('SWI: invalid sort key');
+  }
+
+  /**
+   * Normalize a sort direction to 'asc' or 'desc'
+   */
+  _normalizeSortDirection(direction) {
+    return String(direction || 'asc').toLowerCase() === 'desc' ? 'desc' : 'asc';
+  }
+
+  /**
+   * Parse facet configuration
+   */
+  _parseFacetConfig(facets) {
+    const list = Array.isArray(facets) ? facets : [];
+
+    return {
+      facets: list.map(facet => ({
+        key: facet.key,
+        type: facet.type || 'checkbox',
+        sort: facet.sort || 'count',
+        selector: facet.selector || null,
+        element: facet.element || null
+      }))
+    };
+  }
+
+  /**
+   * Utility: Debounce function to limit execution rate
+   */
+  _debounce(func, wait = 300) {
+    let timeout;
+    return (...args) => {
+      clearTimeout(timeout);
+      timeout = setTimeout(() => func.apply(this, args), wait);
+    };
+  }
+
+  /**
+   * Show loading state
+   */
+  showLoading() {
+    this.container.setAttribute('aria-busy', 'true');
+    this.container.innerHTML = this._getLoadingHTML();
+  }
+
+  /**
+   * Markup for the loading state: a custom template, skeleton placeholders or a spinner
+   */
+  _getLoadingHTML() {
+    const message = this._message('loading');
+
+    if (this.stateTemplates.loading) {
+      return `
+      <div class="swi-loading" role="status" aria-live="polite">
+        ${this._renderStateTemplate(this.stateTemplates.loading, { message })}
+      </div>
+    `;
+    }
+
+    if (this.loadingConfig.style === 'skeleton') {
+      const placeholder = `
+        <div class="swi-skeleton-item" aria-hidden="true">
+          <div class="swi-skeleton-line"></div>
+          <div class="swi-skeleton-line"></div>
+          <div class="swi-skeleton-line"></div>
+        </div>`;
+      return `
+      <div class="swi-loading swi-skeleton" role="status" aria-live="polite">
+        <span class="swi-sr-only">${escapeHTML(message)}</span>${placeholder.repeat(this.loadingConfig.count)}
+      </div>
+    `;
+    }
+
+    return `
+      <div class="swi-loading" role="status" aria-live="polite">
+        <div class="swi-spinner" aria-hidden="true"></div>
+        <p>${escapeHTML(message)}</p>
+      </div>
+    `;
+  }
+
+  /**
+   * Hide loading state
+   */
+  hideLoading() {
+    this.container.removeAttribute('aria-busy');
+    const loading = this.container.querySelector('.swi-loading');
+    if (loading) {
+      loading.remove();
+    }
+  }
+
+  /**
+   * Show error state
+   */
+  showError(message, details = '') {
+    this.container.removeAttribute('aria-busy');
+    
+    // Any [data-swi-retry] element (the built-in button included) calls retry()
+    const content = this.stateTemplates.error
+      ? this._renderStateTemplate(this.stateTemplates.error, { message, details })
+      : `
+        <div class="swi-error-icon" aria-hidden="true">⚠️</div>
+        <h3>${escapeHTML(message)}</h3>
+        ${details ? `<p class="swi-error-details">${escapeHTML(details)}</p>` : ''}
+        <button type="button" class="swi-error-retry" data-swi-retry>${escapeHTML(this._message('retry'))}</button>`;
+    this.container.innerHTML = `
+      <div class="swi-error" role="alert">${content}
+      </div>
+    `;
+    this._bindRetry();
+  }
+
+  /**
+   * Render a loading, empty or error template to a string
+   * Like item templates, plain strings go through the sanitizer.
+   */
+  _renderStateTemplate(template, context, sanitize = this.sanitizer) {
+    return this._templateResultToString(template(context), sanitize);
+  }
+
+  /**
+   * Try loading again after a failure
+   * Before the first successful load this resumes initialization; afterwards it reloads.
+   */
+  retry() {
+    // Repeated clicks while a retry is in flight share it
+    if (!this.pendingRetry) {
+      const load = !this.initialized
+        ? this._init()
+        : (this.remoteConfig.enabled ? this._fetchAndRender() : this.reload());
+      const done = () => {
+        this.pendingRetry = null;
+      };
+      this.pendingRetry = load.then(done, (error) => {
+        done();
+        throw error;
+      });
+    }
+    return this.pendingRetry;
+  }
+
+  /**
+   * Run a load, retrying failures with exponential backoff when retry is configured
+   */
+  async _withRetry(load) {
+    const { attempts, delay, factor, maxDelay } = this.retryConfig;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await load();
+      } catch (error) {
+        if (attempt > attempts || this.destroyed) {
+          throw error;
+        }
+
+        const wait = Math.min(delay * Math.pow(factor, attempt - 1), maxDelay);
+        this._emit('retry', { error, attempt, attempts, delay: wait });
+        await new Promise(resolve => setTimeout(resolve, wait));
+
+        if (this.destroyed) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * Delegate clicks on [data-swi-retry] elements in the container to retry()
+   */
+  _bindRetry() {
+    if (this.retryBound) {
+      return;
+    }
+    this.retryBound = true;
+
+    const clickHandler = (e) => {
+      const target = e.target.closest ? e.target.closest('[data-swi-retry]') : null;
+      if (!target || !this.container.contains(target)) {
+        return;
+      }
+      e.preventDefault();
+      // Failures are shown and emitted again by the load itself
+      Promise.resolve(this.retry()).catch(() => {});
+    };
+
+    this.container.addEventListener('click', clickHandler);
+    this.eventListeners.push({
+      element: this.container,
+      event: 'click',
+      handler: clickHandler
+    });
+  }
+
+  /**
+   * Subscribe to a lifecycle event (load, error, search, pagechange, render, datachange, queryerror)
+   */
+  on(event, handler) {
+    if (!this.eventHandlers.has(event)) {
+      this.eventHandlers.set(event, new Set());
+    }
+    this.eventHandlers.get(event).add(handler);
+    return this;
+  }
+
+  /**
+   * Unsubscribe from a lifecycle event (all handlers when none is given)
+   */
+  off(event, handler) {
+    if (!this.eventHandlers.has(event)) {
+      return this;
+    }
+    if (handler) {
+      this.eventHandlers.get(event).delete(handler);
+    } else {
+      this.eventHandlers.delete(event);
+    }
+    return this;
+  }
+
+  /**
+   * Register a hook: beforeRender, afterLoad or beforeSearch
+   */
+  addHook(name, hook) {
+    if (!this.hooks[name]) {
+      throw new Error(`SWI: unknown hook "${name}"`);
+    }
+    this.hooks[name].push(hook);
+    return this;
+  }
+
+  /**
+   * Remove a previously registered hook
+   */
+  removeHook(name, hook) {
+    if (this.hooks[name]) {
+      this.hooks[name] = this.hooks[name].filter(registered => registered !== hook);
+    }
+    return this;
+  }
+
+  /**
+   * Call handlers and dispatch a bubbling swi:<event> CustomEvent on the container
+   * Returns false when a DOM listener called preventDefault() on a cancelable event.
+   */
+  _emit(event, detail = {}, cancelable = false) {
+    const payload = { ...detail, instance: this };
+
+    (this.eventHandlers.get(event) || []).forEach(handler => {
+      try {
+        handler(payload);
+      } catch (error) {
+        console.error(`SWI: "${event}" handler failed`, error);
+      }
+    });
+
+    if (!this.container) {
+      return true;
+    }
+    return this.container.dispatchEvent(new CustomEvent(`swi:${event}`, {
+      detail: payload,
+      bubbles: true,
+      cancelable
+    }));
+  }
+
+  /**
+   * Run hooks in order; each may return a replacement value or false to cancel
+   * Returns { cancelled, value }.
+   */
+  _runHook(name, value) {
+    let current = value;
+
+    for (const hook of this.hooks[name]) {
+      const result = hook(current, this);
+      if (result === false) {
+        return { cancelled: true, value: current };
+      }
+      if (result !== undefined) {
+        current = result;
+      }
+    }
+
+    return { cancelled: false, value: current };
+  }
+
+  /**
+   * Run afterLoad hooks over items entering the data (loads, setData and addItems)
+   */
+  _runAfterLoad(items) {
+    const { value } = this._runHook('afterLoad', items);
+
+    if (!Array.isArray(value)) {
+      throw new Error('SWI: afterLoad hook must return an array');
+    }
+    return value;
+  }
+
+  /**
+   * Store loaded items after running afterLoad hooks, then emit load
+   */
+  _setLoadedData(items, append = false) {
+    const value = this._runAfterLoad(items);
+
+    this.data = append ? this.data.concat(value) : value;
+    this.filteredData = [...this.data];
+
+    // Build the worker index up front so the first keystroke does not wait for it
+    if (this.searchConfig.worker && !this.remoteConfig.enabled
+      && typeof Worker !== 'undefined' && this.data.length >= this.searchConfig.worker.minItems) {
+      this._indexSearchData();
+    }
+
+    this._emit('load', { data: value, append });
+  }
+
+  /**
+   * Get the identity of an item: its idKey value, or the item itself without an idKey
+   */
+  _getItemKey(item) {
+    if (!this.idKey) {
+      return item;
+    }
+    return typeof this.idKey === 'function' ? this.idKey(item) : resolvePath(item, this.idKey);
+  }
+
+  /**
+   * Find the index of an item in data by id (or by reference without an idKey)
+   */
+  _findItemIndex(id) {
+    return this.data.findIndex(item => this._getItemKey(item) === id);
+  }
+
+  /**
+   * Get an item by id
+   */
+  getItem(id) {
+    const index = this._findItemIndex(id);
+    return index === -1 ? null : this.data[index];
+  }
+
+  /**
+   * Replace all items, keeping the current query, sort, filters and page where possible
+   */
+  setData(items) {
+    if (!Array.isArray(items)) {
+      throw new Error('SWI: setData expects an array of objects');
+    }
+    this._setLoadedData(items);
+    this._commitData('set', items);
+    return this;
+  }
+
+  /**
+   * Add items to the end (or start with { prepend: true }) of the data
+   */
+  addItems(items, options = {}) {
+    const added = this._runAfterLoad(Array.isArray(items) ? items : [items]);
+    this.data = options.prepend ? added.concat(this.data) : this.data.concat(added);
+    this._commitData('add', added);
+    return this;
+  }
+
+  /**
+   * Update an item by id with a partial object or a function returning the new item
+   * The item is replaced by a new object so keyed rendering picks up the change.
+   */
+  updateItem(id, patch) {
+    const index = this._findItemIndex(id);
+    if (index === -1) {
+      return null;
+    }
+
+    const previous = this.data[index];
+    const item = typeof patch === 'function' ? patch(previous) : { ...previous, ...patch };
+    this.data = this.data.slice();
+    this.data[index] = item;
+    this._commitData('update', [item]);
+    return item;
+  }
+
+  /**
+   * Remove an item by id
+   */
+  removeItem(id) {
+    const index = this._findItemIndex(id);
+    if (index === -1) {
+      return null;
+    }
+
+    const [item] = this.data.slice(index, index + 1);
+    this.data = this.data.filter((entry, i) => i !== index);
+    this._commitData('remove', [item]);
+    return item;
+  }
+
+  /**
+   * Load the data source again (or refetch the current page in server-side mode)
+   */
+  async reload() {
+    try {
+      this.container.classList.add('swi-busy');
+      if (this.remoteConfig.enabled) {
+        const loaded = await this._loadRemote();
+        if (!loaded) return;
+      } else {
+        // Skip fresh cache entries but still send conditional requests
+        await this._loadData(true);
+      }
+      this._commitData('reload', this.data);
+    } catch (error) {
+      this._emit('error', { error });
+      throw error;
+    } finally {
+      this.container.classList.remove('swi-busy');
+    }
+  }
+
+  /**
+   * Re-run search, filters and sort after a data change and render the difference
+   */
+  _commitData(action, items) {
+    const search = this.remoteConfig.enabled ? null : this._prepareSearch();
+    return this._whenDone(search, (current) => {
+      // A newer search renders instead
+      if (current !== false) {
+        this._updateFilteredData();
+        this._clampPage();
+        this._pruneSelection();
+        this.render();
+      }
+      this._emit('datachange', { action, items, total: this.data.length });
+    });
+  }
+
+  /**
+   * Utility: Run a callback once a possibly-async result settles
+   */
+  _whenDone(result, callback) {
+    if (result && typeof result.then === 'function') {
+      return result.then(callback);
+    }
+    callback();
+    return result;
+  }
+
+  /**
+   * Initialize the library
+   */
+  async _init() {
+    try {
+      // Bind once; retry() after a failed load resumes from the loading step
+      if (!this.initStarted) {
+        this.initStarted = true;
+        
+        // Restore query, page, sort and filters from the URL
+        if (this.urlSyncConfig.enabled) {
+          this._setupUrlSync();
+        }
+        
+        // Apply the initial layout and bind view toggles
+        this._setupViews();
+      }
+      
+      // Show loading state (hydration keeps the server-rendered items on screen)
+      if (!this.hydrate) {
+        this.showLoading();
+      }
+      
+      // Load data, retrying with backoff when configured
+      await this._withRetry(() => this._loadData());
+      
+      // The instance may have been destroyed while loading (e.g. its container was removed)
+      if (this.destroyed) {
+        return;
+      }
+      this.initialized = true;
+      
+      // Hide loading state
+      this.hideLoading();
+      
+      // Apply initial search and sort
+      this._updateFilteredData();
+      this._clampPage();
+      
+      // Setup search if enabled
+      if (this.searchConfig.enabled && this.searchConfig.selector) {
+        this._setupSearch();
+      }
+      
+      // Setup sort controls if a selector was given
+      if (this.sortConfig.selector) {
+        this._setupSort();
+      }
+      
+      // Setup facet controls
+      if (this.facetConfig.facets.length > 0) {
+        this._setupFacets();
+      }
+      
+      // Setup pagination if enabled
+      this._setupPagination();
+      
+      // Reflect restored state in the search input
+      this._syncSearchInput();
+      
+      // Keep server-rendered item nodes when hydrating
+      if (this.hydrate) {
+        this._adoptRenderedItems();
+      }
+      
+      // Initial render
+      this.render();
+    } catch (error) {
+      if (this.destroyed) {
+        return;
+      }
+      console.error('SWI: Initialization failed', error);
+      this.showError(this._message('error'), error.message);
+      this._emit('error', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve the pagination container
+   * Load more and infinite modes create one after the items when none is given.
+   */
+  _setupPagination() {
+    if (!this.paginationConfig.enabled) {
+      return;
+    }
+
+    if (this.paginationConfig.selector) {
+      this.paginationConfig.containerElement = document.querySelector(this.paginationConfig.selector);
+    }
+
+    if (!this.paginationConfig.containerElement && this.paginationConfig.mode !== 'pages') {
+      const element = document.createElement('div');
+      element.className = 'swi-pagination';
+      this.container.insertAdjacentElement('afterend', element);
+      this.paginationConfig.containerElement = element;
+      this.paginationConfig.createdElement = true;
+    }
+
+    if (this.paginationConfig.pageSizes) {
+      this._setupPageSizeSelect();
+    }
+  }
+
+  /**
+   * Render the page size selector once and bind it
+   */
+  _setupPageSizeSelect() {
+    const config = this.paginationConfig;
+    let element = config.pageSizeElement
+      || (config.pageSizeSelector ? document.querySelector(config.pageSizeSelector) : null);
+
+    // Default placement: after the pagination controls (or the items)
+    if (!element) {
+      element = document.createElement('div');
+      (config.containerElement || this.container).insertAdjacentElement('afterend', element);
+      config.createdPageSizeElement = true;
+    }
+
+    element.classList.add('swi-page-size');
+    element.innerHTML = '';
+
+    const label = document.createElement('label');
+    const text = document.createElement('span');
+    text.textContent = this._message('perPage');
+    const select = document.createElement('select');
+    select.className = 'swi-page-size-select';
+
+    // Include the current size even if it is not one of the options
+    const sizes = Array.from(new Set([...config.pageSizes, config.itemsPerPage])).sort((a, b) => a - b);
+    sizes.forEach(size => {
+      select.appendChild(new Option(String(size), String(size), false, size === config.itemsPerPage));
+    });
+
+    label.appendChild(text);
+    label.appendChild(select);
+    element.appendChild(label);
+
+    const changeHandler = (e) => {
+      this.setPageSize(e.target.value);
+    };
+
+    select.addEventListener('change', changeHandler);
+    this.eventListeners.push({
+      element: select,
+      event: 'change',
+      handler: changeHandler
+    });
+
+    config.pageSizeElement = element;
+    config.pageSizeSelect = select;
+  }
+
+  /**
+   * Load data from source
+   */
+  async _loadData(force = false) {
+    // Array and inline sources load synchronously; yield once so on('load') and swi:load
+    // listeners added right after the constructor (or getInstance) still see the event
+    await Promise.resolve();
+
+    if (this.remoteConfig.enabled) {
+      await this._loadRemote();
+      return;
+    }
+
+    if (Array.isArray(this.dataSource)) {
+      // Validate array data
+      if (this.dataSource.length > 0 && typeof this.dataSource[0] !== 'object') {
+        throw new Error('SWI: Data items must be objects');
+      }
+      this._setLoadedData(this._normalizeData(this.dataSource));
+    } else {
+      try {
+        const inline = this._getInlineSource(this.dataSource);
+        let text;
+        let contentType;
+
+        if (inline) {
+          // <script type="application/json"> (or text/csv) embedded in the page
+          text = inline.textContent;
+          contentType = inline.getAttribute('type') || '';
+        } else {
+          ({ text, contentType } = await this._fetchSource(force));
+        }
+        
+        const data = this._normalizeData(this._parseData(text, contentType));
+        
+        this._setLoadedData(data);
+      } catch (error) {
+        console.error('SWI: Failed to load data', error);
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Fetch the source text, through the cache when it is enabled
+   * Fresh entries skip the network; stale ones are rendered and revalidated in the background.
+   */
+  async _fetchSource(force = false) {
+    if (!this.cacheConfig.enabled) {
+      return this._requestSource();
+    }
+
+    const key = this._getCacheKey();
+    const cached = await getCacheStore(this.cacheConfig.storage).get(key).catch(() => null);
+    const entry = cached && cached.version === this.cacheConfig.version ? cached : null;
+
+    if (entry && !force) {
+      if (Date.now() - entry.timestamp < this.cacheConfig.ttl) {
+        return entry;
+      }
+      if (this.cacheConfig.staleWhileRevalidate) {
+        // Runs after the cached copy has been rendered
+        setTimeout(() => this._revalidate(entry), 0);
+        return entry;
+      }
+    }
+
+    const result = await this._requestSource(entry);
+    await this._storeSource(result);
+    return result;
+  }
+
+  /**
+   * Request the source, conditionally when a cached entry has validators
+   */
+  async _requestSource(entry = null) {
+    const headers = new Headers(this.formatConfig.fetchOptions.headers || {});
+    if (entry && entry.etag) {
+      headers.set('If-None-Match', entry.etag);
+    }
+    if (entry && entry.lastModified) {
+      headers.set('If-Modified-Since', entry.lastModified);
+    }
+
+    const response = await fetch(this.dataSource, { ...this.formatConfig.fetchOptions, headers });
+
+    // Not modified: keep the cached text
+    if (response.status === 304 && entry) {
+      return { ...entry, notModified: true };
+    }
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const header = (name) => (response.headers ? response.headers.get(name) : null) || null;
+    return {
+      text: await response.text(),
+      contentType: header('content-type') || '',
+      etag: header('etag'),
+      lastModified: header('last-modified')
+    };
+  }
+
+  /**
+   * Write a fetched source to the cache
+   */
+  async _storeSource(result) {
+    if (!this.cacheConfig.enabled) return;
+
+    try {
+      await getCacheStore(this.cacheConfig.storage).set(this._getCacheKey(), {
+        text: result.text,
+        contentType: result.contentType,
+        etag: result.etag,
+        lastModified: result.lastModified,
+        version: this.cacheConfig.version,
+        timestamp: Date.now()
+      });
+    } catch (error) {
+      console.warn('SWI: Could not cache data', error);
+    }
+  }
+
+  /**
+   * Refresh a stale cached source and re-render if it changed
+   */
+  async _revalidate(entry) {
+    try {
+      const result = await this._requestSource(entry);
+      await this._storeSource(result);
+
+      if (this.destroyed || result.notModified || result.text === entry.text) {
+        return;
+      }
+
+      this._setLoadedData(this._normalizeData(this._parseData(result.text, result.contentType)));
+      this._commitData('revalidate', this.data);
+    } catch (error) {
+      // The cached copy stays on screen
+      console.warn('SWI: Background revalidation failed', error);
+    }
+  }
+
+  /**
+   * Cache key for this instance's source
+   */
+  _getCacheKey() {
+    return this.cacheConfig.key || String(this.dataSource);
+  }
+
+  /**
+   * Remove this instance's cached source
+   */
+  clearCache() {
+    if (!this.cacheConfig.enabled) {
+      return Promise.resolve();
+    }
+    return getCacheStore(this.cacheConfig.storage).delete(this._getCacheKey());
+  }
+
+  /**
+   * Resolve an inline data element: a script element or a "#id" selector pointing to one
+   */
+  _getInlineSource(source) {
+    if (typeof Element !== 'undefined' && source instanceof Element) {
+      return source;
+    }
+    if (typeof source === 'string' && /^#[\w-]+$/.test(source)) {
+      const element = document.querySelector(source);
+      if (element && element.tagName === 'SCRIPT') {
+        return element;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Parse source text with the configured (or detected) format
+   */
+  _parseData(text, contentType = '') {
+    let format = this.formatConfig.format;
+
+    if (format === 'auto') {
+      const source = typeof this.dataSource === 'string' ? this.dataSource.split(/[?#]/)[0].toLowerCase() : '';
+      if (/csv/.test(contentType) || source.endsWith('.csv')) {
+        format = 'csv';
+      } else if (/ndjson|jsonl|jsonlines/.test(contentType) || /\.(ndjson|jsonl)$/.test(source)) {
+        format = 'ndjson';
+      } else {
+        format = 'json';
+      }
+    }
+
+    const parser = typeof format === 'function' ? format : SenangWebsIndex.formats[format];
+    if (!parser) {
+      throw new Error(`SWI: Unknown data format "${format}"`);
+    }
+    return parser(text, this.formatConfig);
+  }
+
+  /**
+   * Unwrap dataPath, validate the items and apply the transform callback
+   */
+  _normalizeData(parsed) {
+    const data = this.formatConfig.dataPath ? resolvePath(parsed, this.formatConfig.dataPath) : parsed;
+    
+    // Validate that data is an array
+    if (!Array.isArray(data)) {
+      throw new Error(this.formatConfig.dataPath
+        ? `No array found at dataPath "${this.formatConfig.dataPath}"`
+        : 'Data must be an array of objects');
+    }
+    
+    const items = this.formatConfig.transform ? data.map(this.formatConfig.transform) : data;
+    
+    // Validate data structure
+    if (items.length > 0 && (typeof items[0] !== 'object' || items[0] === null)) {
+      throw new Error('Data items must be objects');
+    }
+    
+    return items;
+  }
+
+  /**
+   * Collect the current query, page, sort and filters for a remote request
+   */
+  _getRemoteParams() {
+    return {
+      query: this.searchQuery,
+      page: this.currentPage,
+      pageSize: this.paginationConfig.itemsPerPage,
+      sort: this.sortConfig.criteria.filter(criterion => criterion.key),
+      filters: this.getFilters()
+    };
+  }
+
+  /**
+   * Build the request URL for remote mode
+   */
+  _buildRemoteUrl(params) {
+    const baseUrl = this.remoteConfig.url || this.dataSource;
+
+    if (this.remoteConfig.buildUrl) {
+      return this.remoteConfig.buildUrl(params, baseUrl);
+    }
+
+    const names = this.remoteConfig.params;
+    const url = new URL(baseUrl, typeof window !== 'undefined' ? window.location.href : undefined);
+
+    if (params.query && params.query.trim() !== '') {
+      url.searchParams.set(names.query, params.query.trim());
+    }
+    if (this.paginationConfig.enabled) {
+      url.searchParams.set(names.page, params.page);
+      url.searchParams.set(names.pageSize, params.pageSize);
+    }
+    if (params.sort.length > 0) {
+      url.searchParams.set(names.sort, params.sort.map(({ key, direction }) => `${key}:${direction}`).join(','));
+    }
+
+    // filter[key]=a,b and filter[key][min]=10 style parameters
+    Object.keys(params.filters).forEach(key => {
+      const condition = params.filters[key];
+      if (typeof condition === 'function') {
+        console.warn(`SWI: predicate filter "${key}" cannot be sent to the server and was skipped`);
+      } else if (Array.isArray(condition)) {
+        url.searchParams.set(`${names.filter}[${key}]`, condition.join(','));
+      } else if (typeof condition === 'object') {
+        ['min', 'max'].forEach(bound => {
+          if (condition[bound] !== undefined && condition[bound] !== null && condition[bound] !== '') {
+            url.searchParams.set(`${names.filter}[${key}][${bound}]`, condition[bound]);
+          }
+        });
+      } else {
+        url.searchParams.set(`${names.filter}[${key}]`, condition);
+      }
+    });
+
+    return url.toString();
+  }
+
+  /**
+   * Map a response body to { items, total }
+   */
+  _adaptRemoteResponse(body) {
+    if (this.remoteConfig.adapter) {
+      return this.remoteConfig.adapter(body);
+    }
+
+    const { itemsPath, totalPath } = this.remoteConfig;
+    const items = itemsPath
+      ? resolvePath(body, itemsPath)
+      : (Array.isArray(body) ? body : (body.items || body.data || body.results));
+    const total = totalPath
+      ? resolvePath(body, totalPath)
+      : (body.total !== undefined ? body.total : (body.totalCount !== undefined ? body.totalCount : body.count));
+
+    return { items, total };
+  }
+
+  /**
+   * Fetch the current page from the server, cancelling any request in flight
+   * Resolves false when the request was superseded.
+   */
+  async _loadRemote(append = false) {
+    if (this.remoteController) {
+      this.remoteController.abort();
+    }
+
+    const controller = new AbortController();
+    this.remoteController = controller;
+    this.container.setAttribute('aria-busy', 'true');
+
+    // Appending keeps existing items interactive
+    if (!append) {
+      this.container.classList.add('swi-busy');
+    }
+
+    try {
+      const response = await fetch(this._buildRemoteUrl(this._getRemoteParams()), {
+        ...this.formatConfig.fetchOptions,
+        ...this.remoteConfig.fetchOptions,
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      const { items, total } = this._adaptRemoteResponse(await response.json());
+
+      if (!Array.isArray(items)) {
+        throw new Error('Remote response must contain an array of items');
+      }
+
+      this._setLoadedData(items, append);
+      this.totalItems = total !== undefined && total !== null ? Number(total) : items.length;
+      return true;
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        return false;
+      }
+      console.error('SWI: Failed to load remote data', error);
+      throw error;
+    } finally {
+      if (this.remoteController === controller) {
+        this.remoteController = null;
+        this.container.classList.remove('swi-busy');
+        this.container.removeAttribute('aria-busy');
+      }
+    }
+  }
+
+  /**
+   * Fetch from the server and render, showing an error on failure
+   * Resolves false when the request was superseded or failed.
+   */
+  async _fetchAndRender() {
+    try {
+      const loaded = await this._withRetry(() => this._loadRemote());
+      if (loaded) {
+        this._updateFilteredData();
+        this.render();
+      }
+      return loaded;
+    } catch (error) {
+      this.showError(this._message('error'), error.message);
+      this._emit('error', { error });
+      return false;
+    }
+  }
+
+  /**
+   * Read the instance state from the URL and listen for history navigation
+   */
+  _setupUrlSync() {
+    // Initial state from the options, used when the URL has no value for a field
+    this._defaultQuery = this.searchQuery;
+    this._defaultPage = this.currentPage;
+    this._defaultSortCriteria = this.sortConfig.criteria;
+    this._defaultPageSize = this.paginationConfig.itemsPerPage;
+    this._readUrlState();
+
+    const popstateHandler = () => {
+      this._readUrlState();
+      this._syncSearchInput();
+      this._syncSortControls();
+
+      if (this.remoteConfig.enabled) {
+        this._fetchAndRender();
+        return;
+      }
+      this._updateFilteredData();
+      this._clampPage();
+      this.render();
+    };
+
+    window.addEventListener('popstate', popstateHandler);
+    this.eventListeners.push({
+      element: window,
+      event: 'popstate',
+      handler: popstateHandler
+    });
+  }
+
+  /**
+   * Get the URL parameters that hold state (query string or hash)
+   */
+  _getUrlParams() {
+    const source = this.urlSyncConfig.mode === 'hash'
+      ? window.location.hash.replace(/^#/, '')
+      : window.location.search;
+    return new URLSearchParams(source);
+  }
+
+  /**
+   * Serialize query, page, sort and filters into prefixed URL parameters
+   */
+  _serializeUrlState() {
+    const prefix = this.urlSyncConfig.prefix;
+    const state = {};
+    // URLSearchParams percent-encodes once; commas inside values are escaped with a backslash
+    const encodeValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/,/g, '\\,');
+
+    // Written when they differ from the initial state, so clearing an initial query sticks
+    if (this.searchQuery.trim() !== this._defaultQuery.trim()) {
+      state[`${prefix}.q`] = this.searchQuery;
+    }
+    if (this.currentPage !== this._defaultPage) {
+      state[`${prefix}.page`] = String(this.currentPage);
+    }
+    if (this.paginationConfig.itemsPerPage !== this._defaultPageSize) {
+      state[`${prefix}.size`] = String(this.paginationConfig.itemsPerPage);
+    }
+
+    const sort = this.sortConfig.criteria.filter(criterion => criterion.key);
+    if (sort.length > 0) {
+      state[`${prefix}.sort`] = sort.map(({ key, direction }) => `${key}:${direction}`).join(',');
+    }
+
+    this.filters.forEach((filter, key) => {
+      if (filter.kind === 'values') {
+        state[`${prefix}.f.${key}`] = Array.from(filter.values).map(encodeValue).join(',');
+      } else if (filter.kind === 'range') {
+        state[`${prefix}.f.${key}`] = `${filter.min === null ? '' : filter.min}..${filter.max === null ? '' : filter.max}`;
+      }
+      // Predicate filters cannot be represented in the URL
+    });
+
+    return state;
+  }
+
+  /**
+   * Restore state from prefixed URL parameters
+   */
+  _readUrlState() {
+    const prefix = `${this.urlSyncConfig.prefix}.`;
+    const params = this._getUrlParams();
+
+    this.searchQuery = params.has(`${prefix}q`) ? params.get(`${prefix}q`) : this._defaultQuery;
+    this.paginationConfig.itemsPerPage = parseInt(params.get(`${prefix}size`), 10) || this._defaultPageSize;
+    if (this.paginationConfig.pageSizeSelect) {
+      this.paginationConfig.pageSizeSelect.value = String(this.paginationConfig.itemsPerPage);
+    }
+    this.currentPage = params.has(`${prefix}page`)
+      ? Math.max(1, parseInt(params.get(`${prefix}page`), 10) || 1)
+      : this._defaultPage;
+    if (this.remoteConfig.enabled && this.paginationConfig.mode !== 'pages') {
+      // Earlier pages would have to be refetched one by one
+      this.currentPage = 1;
+    }
+
+    const sort = params.get(`${prefix}sort`);
+    this.sortConfig.criteria = sort !== null ? this._normalizeSortCriteria(sort) : this._defaultSortCriteria;
+
+    // Keep predicate filters, replace serializable ones with the URL's
+    Array.from(this.filters.keys()).forEach(key => {
+      if (this.filters.get(key).kind !== 'predicate') {
+        this.filters.delete(key);
+      }
+    });
+    // Values are already decoded by URLSearchParams; split on commas not escaped with a backslash
+    const splitValues = (value) => {
+      const values = [''];
+      for (let i = 0; i < value.length; i++) {
+        if (value[i] === '\\' && i + 1 < value.length) {
+          values[values.length - 1] += value[++i];
+        } else if (value[i] === ',') {
+          values.push('');
+        } else {
+          values[values.length - 1] += value[i];
+        }
+      }
+      return values;
+    };
+    params.forEach((value, name) => {
+      if (!name.startsWith(`${prefix}f.`)) return;
+
+      const key = name.slice(`${prefix}f.`.length);
+      const range = value.match(/^(-?[\d.]*)\.\.(-?[\d.]*)$/);
+      const condition = range
+        ? { min: range[1], max: range[2] }
+        : splitValues(value);
+      this.filters.set(key, this._normalizeFilter(condition));
+    });
+
+    this._lastUrlState = this._serializeUrlState();
+  }
+
+  /**
+   * Write the current state to the URL
+   * Query changes replace the history entry so typing does not flood history.
+   */
+  _writeUrlState() {
+    if (!this.urlSyncConfig.enabled || this._lastUrlState === undefined) {
+      return;
+    }
+
+    const state = this._serializeUrlState();
+    const previous = this._lastUrlState;
+    const keys = new Set([...Object.keys(state), ...Object.keys(previous)]);
+    const changed = Array.from(keys).some(key => state[key] !== previous[key]);
+
+    if (!changed) {
+      return;
+    }
+
+    const prefix = `${this.urlSyncConfig.prefix}.`;
+    const params = this._getUrlParams();
+    Array.from(params.keys())
+      .filter(name => name.startsWith(prefix))
+      .forEach(name => params.delete(name));
+    Object.keys(state).forEach(name => params.set(name, state[name]));
+
+    const serialized = params.toString();
+    const url = new URL(window.location.href);
+    if (this.urlSyncConfig.mode === 'hash') {
+      url.hash = serialized;
+    } else {
+      url.search = serialized;
+    }
+
+    const queryChanged = state[`${prefix}q`] !== previous[`${prefix}q`];
+    const method = this.urlSyncConfig.history === 'push' && !queryChanged ? 'pushState' : 'replaceState';
+    window.history[method](window.history.state, '', url.toString());
+
+    this._lastUrlState = state;
+  }
+
+  /**
+   * Set the search input to the current query
+   */
+  _syncSearchInput() {
+    const input = this.searchConfig.inputElement;
+    if (input && input.value !== this.searchQuery) {
+      input.value = this.searchQuery;
+    }
+  }
+
+  /**
+   * Keep the current page within range after data or filters change
+   */
+  _clampPage() {
+    if (this.remoteConfig.enabled || !this.paginationConfig.enabled) {
+      return;
+    }
+    const totalPages = this._getTotalPages();
+    if (this.currentPage > totalPages) {
+      this.currentPage = Math.max(1, totalPages);
+    }
+  }
+
+  /**
+   * Setup search functionality
+   */
+  _setupSearch() {
+    const searchContainer = document.querySelector(this.searchConfig.selector);
+    if (!searchContainer) return;
+
+    this.searchConfig.inputElement = searchContainer.querySelector('input[type="text"]');
+    
+    if (this.searchConfig.inputElement) {
+      // Use debounced search handler
+      const searchHandler = this._debounce((e) => {
+        this.search(e.target.value);
+      }, 300);
+      
+      this.searchConfig.inputElement.addEventListener('input', searchHandler);
+      this.eventListeners.push({
+        element: this.searchConfig.inputElement,
+        event: 'input',
+        handler: searchHandler
+      });
+    }
+  }
+
+  /**
+   * Setup sort controls from the configured selector
+   */
+  _setupSort() {
+    const sortContainer = document.querySelector(this.sortConfig.selector);
+    if (!sortContainer) return;
+
+    this.sortConfig.selectElement = sortContainer.matches('select')
+      ? sortContainer
+      : sortContainer.querySelector('select');
+    this.sortConfig.keyElements = Array.from(sortContainer.querySelectorAll('[data-swi-sort-key]'));
+    this._bindSortControls();
+  }
+
+  /**
+   * Bind sort select and sort key buttons
+   */
+  _bindSortControls() {
+    const { selectElement, keyElements } = this.sortConfig;
+
+    if (selectElement) {
+      const changeHandler = (e) => {
+        this.sort(e.target.value || null);
+      };
+
+      selectElement.addEventListener('change', changeHandler);
+      this.eventListeners.push({
+        element: selectElement,
+        event: 'change',
+        handler: changeHandler
+      });
+    }
+
+    keyElements.forEach(element => {
+      const clickHandler = (e) => {
+        e.preventDefault();
+        const key = element.getAttribute('data-swi-sort-key');
+        const current = this.sortConfig.criteria[0];
+
+        // Clicking the active key toggles its direction
+        let direction = element.getAttribute('data-swi-sort-direction') || 'asc';
+        if (current && current.key === key) {
+          direction = current.direction === 'asc' ? 'desc' : 'asc';
+        }
+
+        this.sort(key, direction);
+      };
+
+      element.addEventListener('click', clickHandler);
+      this.eventListeners.push({
+        element,
+        event: 'click',
+        handler: clickHandler
+      });
+    });
+
+    this._syncSortControls();
+  }
+
+  /**
+   * Reflect the active sort in the bound controls
+   */
+  _syncSortControls() {
+    const { selectElement, keyElements, criteria } = this.sortConfig;
+    const primary = criteria[0];
+
+    if (selectElement) {
+      const value = primary && primary.key ? `${primary.key}:${primary.direction}` : '';
+      const options = Array.from(selectElement.options);
+      const match = options.find(option => option.value === value)
+        || options.find(option => primary && option.value === primary.key && primary.direction === 'asc');
+      selectElement.value = match ? match.value : '';
+    }
+
+    keyElements.forEach(element => {
+      const active = !!primary && element.getAttribute('data-swi-sort-key') === primary.key;
+      element.classList.toggle('swi-sort-active', active);
+      element.classList.toggle('swi-sort-asc', active && primary.direction === 'asc');
+      element.classList.toggle('swi-sort-desc', active && primary.direction === 'desc');
+    });
+  }
+
+  /**
+   * Perform search - supports single or multiple fields
+   */
+  search(query) {
+    // beforeSearch hooks and swi:beforesearch listeners may rewrite or cancel the query
+    const hook = this._runHook('beforeSearch', query || '');
+    if (hook.cancelled || !this._emit('beforesearch', { query: hook.value }, true)) {
+      return;
+    }
+
+    this.searchQuery = hook.value || '';
+    return this._whenDone(this._refresh(), (current) => {
+      // A newer search superseded this one
+      if (current === false) return;
+      const total = this._getTotalItems();
+      this._announce(this._message('resultsFound', { count: total }));
+      this._emit('search', { query: this.searchQuery, total });
+    });
+  }
+
+  /**
+   * Sort the current results
+   * Accepts a key with direction, "key:direction" strings, an array of criteria
+   * or a comparator function. Pass null to restore source order.
+   */
+  sort(key, direction = 'asc') {
+    this.sortConfig.criteria = this._normalizeSortCriteria(key, direction);
+    this._syncSortControls();
+    this._refresh();
+  }
+
+  /**
+   * Get the active sort criteria
+   */
+  getSort() {
+    return this.sortConfig.criteria.map(({ key, direction }) => ({ key, direction }));
+  }
+
+  /**
+   * Recompute results and render from the first page
+   * In remote mode the server does the work, so the page is fetched instead.
+   */
+  _refresh() {
+    this.currentPage = 1;
+
+    if (this.remoteConfig.enabled) {
+      return this._fetchAndRender();
+    }
+
+    return this._whenDone(this._prepareSearch(), (current) => {
+      if (current === false) return false;
+      this._updateFilteredData();
+      this.render();
+    });
+  }
+
+  /**
+   * Run the current query in the search worker when it applies
+   * Returns a promise resolving to false if a newer search superseded it, or null
+   * when the synchronous search should be used.
+   */
+  _prepareSearch() {
+    const worker = this.searchConfig.worker;
+    const query = this.searchQuery.trim() === '' ? '' : this._foldText(this.searchQuery);
+
+    if (!worker || !query || this.searchWorkerFailed
+      || this.searchConfig.mode !== 'contains'
+      || this.data.length < worker.minItems
+      || typeof Worker === 'undefined'
+      || !this._isWorkerQuery(this.searchQuery)) {
+      return null;
+    }
+
+    // Results for this query and data are already known (e.g. a filter or sort change)
+    if (this.workerResult && this.workerResult.query === query && this.workerResult.data === this.data) {
+      return null;
+    }
+
+    const searchWorker = this._getSearchWorker();
+    if (!searchWorker) {
+      return null;
+    }
+
+    if (this.indexedData !== this.data) {
+      this._indexSearchData();
+    }
+
+    const id = ++this.workerSearchId;
+    const data = this.data;
+    return new Promise(resolve => {
+      this.workerRequests.set(id, { resolve, query, data });
+      searchWorker.postMessage({ type: 'search', id, query });
+    });
+  }
+
+  /**
+   * Structured queries are evaluated on the main thread; invalid ones search as plain text
+   */
+  _isWorkerQuery(query) {
+    if (!this.searchConfig.syntax) {
+      return true;
+    }
+    try {
+      return this._isPlainQuery(SWIQueryParser.parse(query));
+    } catch (error) {
+      return true;
+    }
+  }
+
+  /**
+   * Create the search worker once; returns null where Workers cannot be created
+   */
+  _getSearchWorker() {
+    if (this.searchWorker) {
+      return this.searchWorker;
+    }
+
+    try {
+      const source = `(${searchWorkerMain.toString()})();`;
+      this.searchWorkerUrl = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+      this.searchWorker = new Worker(this.searchWorkerUrl);
+    } catch (error) {
+      // e.g. a Content Security Policy without worker-src blob:
+      console.warn('SWI: Search worker unavailable, searching on the main thread', error);
+      this.searchWorkerFailed = true;
+      return null;
+    }
+
+    this.workerSearchId = 0;
+    this.workerRequests = new Map();
+
+    this.searchWorker.onmessage = (event) => {
+      const { id, indices } = event.data;
+      const request = this.workerRequests.get(id);
+      if (!request) return;
+
+      // Requests older than this reply were skipped by the worker
+      this.workerRequests.forEach((pending, pendingId) => {
+        if (pendingId < id) pending.resolve(false);
+      });
+      this.workerRequests.delete(id);
+      this.workerRequests.forEach((pending, pendingId) => {
+        if (pendingId < id) this.workerRequests.delete(pendingId);
+      });
+
+      const current = id === this.workerSearchId && request.data === this.data;
+      if (current) {
+        this.workerResult = { query: request.query, data: request.data, items: indices.map(index => request.data[index]) };
+      }
+      request.resolve(current);
+    };
+
+    this.searchWorker.onerror = (event) => {
+      console.warn('SWI: Search worker failed, searching on the main thread', event.message || event);
+      this._terminateSearchWorker();
+      this.searchWorkerFailed = true;
+    };
+
+    return this.searchWorker;
+  }
+
+  /**
+   * Send the searchable text of every item to the worker for indexing
+   */
+  _indexSearchData() {
+    const worker = this._getSearchWorker();
+    if (!worker) return;
+
+    const searchKeys = this._getSearchKeys();
+    // Fields are joined with a separator no query contains, so matches never span fields
+    const texts = this.data.map(item => searchKeys.map(key => {
+      const value = this._getValue(item, key);
+      return value ? this._foldText(value) : '';
+    }).join('\u0000'));
+
+    worker.postMessage({ type: 'index', texts });
+    this.indexedData = this.data;
+    this.workerResult = null;
+  }
+
+  /**
+   * Stop the search worker and settle pending searches (callers fall back to the synchronous search)
+   */
+  _terminateSearchWorker() {
+    if (this.searchWorker) {
+      this.searchWorker.terminate();
+      this.searchWorker = null;
+    }
+    if (this.searchWorkerUrl) {
+      URL.revokeObjectURL(this.searchWorkerUrl);
+      this.searchWorkerUrl = null;
+    }
+    if (this.workerRequests) {
+      this.workerRequests.forEach(request => request.resolve(true));
+      this.workerRequests.clear();
+    }
+    this.indexedData = null;
+    this.workerResult = null;
+  }
+
+  /**
+   * Rebuild filteredData from data: search, then filters, then sort
+   */
+  _updateFilteredData() {
+    // The server already searched, filtered and sorted the current page
+    if (this.remoteConfig.enabled) {
+      this.searchResults = this.data;
+      this.filteredData = [...this.data];
+      this._applyGrouping();
+      this._renderFacets();
+      return;
+    }
+
+    this.searchResults = this._filterBySearch(this.data, this.searchQuery);
+    this.filteredData = this.searchResults.filter(item => this._matchesFilters(item));
+    this._applySort();
+    this._applyGrouping();
+    this._renderFacets();
+  }
+
+  /**
+   * Get the configured search keys as an array
+   */
+  _getSearchKeys() {
+    // Support both string and array of search keys
+    return Array.isArray(this.searchConfig.searchKey) 
+      ? this.searchConfig.searchKey 
+      : [this.searchConfig.searchKey];
+  }
+
+  /**
+   * Filter items by the search query
+   */
+  _filterBySearch(items, query) {
+    this.searchScores = new Map();
+    
+    if (!query || query.trim() === '') {
+      return [...items];
+    }
+
+    if (this.searchConfig.syntax) {
+      const ast = this._parseQuery(query);
+      if (ast && !this._isPlainQuery(ast)) {
+        return this._filterByQuery(items, ast);
+      }
+    }
+
+    if (this.searchConfig.mode === 'fuzzy') {
+      return this._fuzzySearch(items, query);
+    }
+
+    const searchKeys = this._getSearchKeys();
+    const foldedQuery = this._foldText(query);
+
+    // Reuse the search worker's results for this query and data
+    if (this.workerResult && items === this.workerResult.data && this.workerResult.query === foldedQuery) {
+      return [...this.workerResult.items];
+    }
+
+    return items.filter(item => {
+      // Search across all specified fields
+      return searchKeys.some(key => {
+        const value = this._getValue(item, key);
+        return value && this._foldText(value).includes(foldedQuery);
+      });
+    });
+  }
+
+  /**
+   * Parse a structured query, reporting errors through a swi:queryerror event
+   * Returns null when the query is invalid so search falls back to plain text.
+   */
+  _parseQuery(query) {
+    const input = this.searchConfig.inputElement;
+
+    try {
+      const ast = SWIQueryParser.parse(query);
+      this.queryError = null;
+      if (input) input.classList.remove('swi-query-error');
+      return ast;
+    } catch (error) {
+      if (!(error instanceof SWIQueryError)) {
+        throw error;
+      }
+
+      this.queryError = error;
+      if (input) input.classList.add('swi-query-error');
+      this._emit('queryerror', { query, message: error.message, position: error.position, error });
+      return null;
+    }
+  }
+
+  /**
+   * Check whether an AST only contains bare words (no fields, phrases or operators)
+   */
+  _isPlainQuery(ast) {
+    const nodes = ast.type === 'and' ? ast.nodes : [ast];
+    return nodes.every(node => node.type === 'term' && !node.field && !node.phrase);
+  }
+
+  /**
+   * Filter items with a parsed structured query
+   */
+  _filterByQuery(items, ast) {
+    const results = [];
+
+    items.forEach(item => {
+      const context = { score: 0, matches: {} };
+      if (this._evaluateQuery(ast, item, context)) {
+        this.searchScores.set(item, context);
+        results.push(item);
+      }
+    });
+
+    // Rank by free-text relevance in fuzzy mode
+    if (this.searchConfig.mode === 'fuzzy') {
+      results.sort((a, b) => this.searchScores.get(b).score - this.searchScores.get(a).score);
+    }
+    return results;
+  }
+
+  /**
+   * Evaluate a query AST node against an item
+   * Matches are only collected for positive terms (context is null under NOT).
+   */
+  _evaluateQuery(node, item, context) {
+    if (node.type === 'and') {
+      return node.nodes.every(child => this._evaluateQuery(child, item, context));
+    }
+    if (node.type === 'or') {
+      // Evaluate every branch so all matching terms are highlighted
+      return node.nodes.map(child => this._evaluateQuery(child, item, context)).some(Boolean);
+    }
+    if (node.type === 'not') {
+      return !this._evaluateQuery(node.node, item, null);
+    }
+
+    if (!node.field) {
+      return this._evaluateTextTerm(node, item, this._getSearchKeys(), context);
+    }
+
+    if (node.op) {
+      return this._toArray(this._getValue(item, node.field)).some(value => this._compareQueryValue(value, node.op, node.value));
+    }
+    return this._evaluateTextTerm(node, item, [node.field], context);
+  }
+
+  /**
+   * Match a free-text or field:text term across the given keys
+   */
+  _evaluateTextTerm(node, item, keys, context) {
+    const text = String(node.value);
+
+    // Fuzzy matching for single words in fuzzy mode
+    if (this.searchConfig.mode === 'fuzzy' && !node.phrase) {
+      const tokens = this._tokenize(text).map(token => token.text);
+      const result = tokens.length > 0 ? this._scoreItem(item, tokens, keys, this._foldText(text)) : null;
+      if (result && context) {
+        context.score += result.score;
+        this._mergeMatches(context.matches, result.matches);
+      }
+      return !!result;
+    }
+
+    const needle = this._foldText(text);
+    let found = false;
+
+    keys.forEach(key => {
+      const value = this._getValue(item, key);
+      if (value === undefined || value === null) return;
+      const haystack = this._foldText(value);
+      let index = haystack.indexOf(needle);
+      while (index > -1) {
+        found = true;
+        if (!context) return;
+        context.score += this.searchConfig.weights[key] || 1;
+        (context.matches[key] = context.matches[key] || []).push([index, index + needle.length]);
+        index = haystack.indexOf(needle, index + needle.length);
+      }
+    });
+
+    return found;
+  }
+
+  /**
+   * Compare an item value using a query operator (=, <, <=, >, >=, ..)
+   */
+  _compareQueryValue(value, op, operand) {
+    if (value === undefined || value === null || value === '') {
+      return false;
+    }
+
+    if (op === '=') {
+      const left = SWIQueryParser.toComparable(value);
+      const right = SWIQueryParser.toComparable(operand);
+      if (left !== null && right !== null) {
+        return left === right;
+      }
+      return this._foldText(value) === this._foldText(operand);
+    }
+
+    const number = SWIQueryParser.toComparable(value);
+    if (number === null) {
+      return false;
+    }
+
+    if (op === '..') {
+      return number >= SWIQueryParser.toComparable(operand[0]) && number <= SWIQueryParser.toComparable(operand[1]);
+    }
+
+    const bound = SWIQueryParser.toComparable(operand);
+    switch (op) {
+      case '<': return number < bound;
+      case '<=': return number <= bound;
+      case '>': return number > bound;
+      case '>=': return number >= bound;
+      default: return false;
+    }
+  }
+
+  /**
+   * Merge match ranges from source into target
+   */
+  _mergeMatches(target, source) {
+    Object.keys(source).forEach(key => {
+      target[key] = (target[key] || []).concat(source[key]);
+    });
+  }
+
+  /**
+   * Resolve a field value from an item by key or path (a leading "item." is ignored)
+   */
+  _getValue(item, key) {
+    if (typeof key === 'string' && item && Object.prototype.hasOwnProperty.call(item, key)) {
+      return item[key];
+    }
+    return resolvePath(item, String(key).replace(/^item\./, ''));
+  }
+
+  /**
+   * Utility: Wrap a value in an array unless it already is one
+   */
+  _toArray(value) {
+    return Array.isArray(value) ? value : [value];
+  }
+
+  /**
+   * Fuzzy search: every query token must match a word in some field.
+   * Results are ranked by weighted relevance.
+   */
+  _fuzzySearch(items, query) {
+    const tokens = this._tokenize(query).map(token => token.text);
+    if (tokens.length === 0) {
+      return [...items];
+    }
+
+    const searchKeys = this._getSearchKeys();
+    const phrase = this._foldText(query.trim());
+    const results = [];
+
+    items.forEach(item => {
+      const result = this._scoreItem(item, tokens, searchKeys, phrase);
+      if (result && result.score > this.searchConfig.minScore) {
+        this.searchScores.set(item, result);
+        results.push(item);
+      }
+    });
+
+    // Array sort is stable, so equal scores keep source order
+    return results.sort((a, b) => this.searchScores.get(b).score - this.searchScores.get(a).score);
+  }
+
+  /**
+   * Score an item against query tokens and collect match ranges per field
+   */
+  _scoreItem(item, tokens, searchKeys, phrase) {
+    const fields = searchKeys
+      .filter(key => this._getValue(item, key) !== undefined && this._getValue(item, key) !== null)
+      .map(key => {
+        const text = String(this._getValue(item, key));
+        return {
+          key,
+          text,
+          weight: this.searchConfig.weights[key] || 1,
+          words: this._tokenize(text)
+        };
+      });
+
+    const matches = {};
+    let score = 0;
+
+    for (const token of tokens) {
+      let best = 0;
+
+      fields.forEach(field => {
+        field.words.forEach(word => {
+          const match = this._scoreToken(token, word.text);
+          if (!match) return;
+
+          best = Math.max(best, match.score * field.weight);
+          (matches[field.key] = matches[field.key] || []).push([
+            word.start + match.offset,
+            word.start + match.offset + match.length
+          ]);
+        });
+      });
+
+      // All tokens are required
+      if (best === 0) {
+        return null;
+      }
+      score += best;
+    }
+
+    // Bonus for fields containing the whole query as typed
+    fields.forEach(field => {
+      if (this._foldText(field.text).includes(phrase)) {
+        score += 0.5 * field.weight;
+      }
+    });
+
+    return { score, matches };
+  }
+
+  /**
+   * Score a single query token against a word
+   * Returns { score, offset, length } or null when the word does not match.
+   */
+  _scoreToken(token, word) {
+    if (word === token) {
+      return { score: 1, offset: 0, length: word.length };
+    }
+    if (word.startsWith(token)) {
+      return { score: 0.8, offset: 0, length: token.length };
+    }
+
+    const index = word.indexOf(token);
+    if (index > -1 && token.length >= 3) {
+      return { score: 0.6, offset: index, length: token.length };
+    }
+
+    const maxTypos = this._getMaxTypos(token);
+    if (maxTypos === 0) {
+      return null;
+    }
+
+    // Compare against the whole word and against its prefix (while still typing)
+    const wordDistance = this._editDistance(token, word, maxTypos);
+    const prefixDistance = word.length > token.length
+      ? this._editDistance(token, word.slice(0, token.length), maxTypos)
+      : Infinity;
+    const distance = Math.min(wordDistance, prefixDistance);
+
+    if (distance > maxTypos) {
+      return null;
+    }
+    return {
+      score: 0.5 / distance,
+      offset: 0,
+      length: wordDistance <= prefixDistance ? word.length : token.length
+    };
+  }
+
+  /**
+   * Allowed typos for a token, based on the typoTolerance option
+   */
+  _getMaxTypos(token) {
+    const tolerance = this.searchConfig.typoTolerance;
+    if (tolerance === false) {
+      return 0;
+    }
+    if (typeof tolerance === 'number') {
+      return tolerance;
+    }
+    if (token.length < 4) return 0;
+    return token.length < 8 ? 1 : 2;
+  }
+
+  /**
+   * Levenshtein distance with an early exit once max is exceeded
+   */
+  _editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) {
+      return max + 1;
+    }
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        rowMin = Math.min(rowMin, current[j]);
+      }
+      if (rowMin > max) {
+        return max + 1;
+      }
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  /**
+   * Split text into folded word tokens with their source offsets
+   */
+  _tokenize(text) {
+    const tokens = [];
+    const pattern = /[\p{L}\p{N}]+/gu;
+    let match;
+    while ((match = pattern.exec(String(text))) !== null) {
+      tokens.push({ text: this._foldText(match[0]), start: match.index });
+    }
+    return tokens;
+  }
+
+  /**
+   * Parse a structured query string into an AST (throws SWIQueryError)
+   */
+  static parseQuery(query) {
+    return SWIQueryParser.parse(query);
+  }
+
+  /**
+   * Get match ranges for an item as { key: [[start, end], ...] }
+   */
+  getMatches(item) {
+    const result = this.searchScores && this.searchScores.get(item);
+    if (result) {
+      return result.matches;
+    }
+
+    const query = this._foldText((this.searchQuery || '').trim());
+    if (!query) {
+      return {};
+    }
+
+    // Plain substring search: find every occurrence of the query
+    const matches = {};
+    this._getSearchKeys().forEach(key => {
+      const value = this._getValue(item, key);
+      if (value === undefined || value === null) return;
+      const text = this._foldText(value);
+      let index = text.indexOf(query);
+      while (index > -1) {
+        (matches[key] = matches[key] || []).push([index, index + query.length]);
+        index = text.indexOf(query, index + query.length);
+      }
+    });
+    return matches;
+  }
+
+  /**
+   * Get an item field as escaped HTML with matches wrapped in <mark class="swi-highlight">
+   */
+  highlight(item, key) {
+    const value = this._getValue(item, key);
+    if (value === undefined || value === null) {
+      return '';
+    }
+
+    const text = String(value);
+    const ranges = (this.getMatches(item)[key] || [])
+      .slice()
+      .sort((a, b) => a[0] - b[0])
+      .reduce((merged, range) => {
+        const last = merged[merged.length - 1];
+        if (last && range[0] <= last[1]) {
+          last[1] = Math.max(last[1], range[1]);
+        } else {
+          merged.push([range[0], range[1]]);
+        }
+        return merged;
+      }, []);
+
+    let html = '';
+    let cursor = 0;
+    ranges.forEach(([start, end]) => {
+      html += escapeHTML(text.slice(cursor, start));
+      html += `<mark class="swi-highlight">${escapeHTML(text.slice(start, end))}</mark>`;
+      cursor = end;
+    });
+    return html + escapeHTML(text.slice(cursor));
+  }
+
+  /**
+   * Context passed to itemTemplate as the second argument
+   */
+  _getTemplateContext(item) {
+    const result = this.searchScores && this.searchScores.get(item);
+    return {
+      query: this.searchQuery,
+      view: this.view,
+      score: result ? result.score : null,
+      matches: this.getMatches(item),
+      highlight: (key) => this.highlight(item, key)
+    };
+  }
+
+  /**
+   * Get the group key of an item as a string ('' for missing values)
+   */
+  _getGroupKey(item) {
+    const value = this.groupConfig.getKey(item);
+    return value === undefined || value === null ? '' : String(value);
+  }
+
+  /**
+   * Get the display label of a group
+   */
+  _getGroupLabel(key, items) {
+    if (this.groupConfig.label) {
+      return this.groupConfig.label(key, items);
+    }
+    return key === '' ? (this.groupConfig.emptyLabel || this._message('groupOther')) : key;
+  }
+
+  /**
+   * Make groups contiguous in filteredData, in group order; items keep the sort order
+   * within their group, so pagination simply slices the grouped list.
+   */
+  _applyGrouping() {
+    if (!this.groupConfig.enabled) {
+      return;
+    }
+
+    const buckets = new Map();
+    this.filteredData.forEach(item => {
+      const key = this._getGroupKey(item);
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(item);
+    });
+
+    const keys = Array.from(buckets.keys());
+    const order = this.groupConfig.order;
+    const collator = new Intl.Collator(this.sortConfig.locale, { numeric: true, sensitivity: 'base' });
+
+    if (typeof order === 'function') {
+      const groups = new Map(keys.map(key => [key, { key, count: buckets.get(key).length, items: buckets.get(key) }]));
+      keys.sort((a, b) => order(groups.get(a), groups.get(b)));
+    } else if (Array.isArray(order)) {
+      const ranks = new Map(order.map((key, index) => [String(key), index]));
+      const rank = (key) => (ranks.has(key) ? ranks.get(key) : ranks.size);
+      keys.sort((a, b) => rank(a) - rank(b));
+    } else if (order === 'count') {
+      keys.sort((a, b) => buckets.get(b).length - buckets.get(a).length);
+    } else if (order !== 'none') {
+      // Missing values always go last
+      keys.sort((a, b) => (a === '') - (b === '') || collator.compare(a, b) * (order === 'desc' ? -1 : 1));
+    }
+
+    this.groupTotals = new Map(keys.map(key => [key, buckets.get(key).length]));
+    this.filteredData = keys.reduce((items, key) => items.concat(buckets.get(key)), []);
+  }
+
+  /**
+   * Split items into consecutive groups for rendering
+   */
+  _groupItems(items, firstIndex = 0) {
+    const groups = [];
+
+    items.forEach((item, index) => {
+      const key = this._getGroupKey(item);
+      let group = groups[groups.length - 1];
+
+      if (!group || group.key !== key) {
+        const previous = firstIndex + index > 0 ? this.filteredData[firstIndex + index - 1] : null;
+        group = {
+          key,
+          items: [],
+          // The group started on an earlier page
+          continued: !!previous && index === 0 && this._getGroupKey(previous) === key
+        };
+        groups.push(group);
+      }
+      group.items.push(item);
+    });
+
+    return groups.map((group, index) => ({
+      ...group,
+      index,
+      label: this._getGroupLabel(group.key, group.items),
+      count: group.items.length,
+      total: this.groupTotals.has(group.key) ? this.groupTotals.get(group.key) : group.items.length,
+      collapsed: this.isGroupCollapsed(group.key)
+    }));
+  }
+
+  /**
+   * Get every group in the current results with its item count
+   */
+  getGroups() {
+    if (!this.groupConfig.enabled) {
+      return [];
+    }
+    return this._groupItems(this.filteredData).map(({ key, label, total, collapsed }) => ({
+      key,
+      label,
+      count: total,
+      collapsed
+    }));
+  }
+
+  /**
+   * Check whether a group is collapsed
+   */
+  isGroupCollapsed(key) {
+    const { collapsed, collapseAll } = this.groupConfig;
+    // With collapsed: true the set holds the groups that were expanded instead
+    return collapseAll ? !collapsed.has(String(key)) : collapsed.has(String(key));
+  }
+
+  /**
+   * Collapse or expand a group (toggles when collapsed is omitted)
+   */
+  toggleGroup(key, collapsed) {
+    if (!this.groupConfig.enabled) {
+      return;
+    }
+
+    const groupKey = String(key);
+    const next = collapsed === undefined ? !this.isGroupCollapsed(groupKey) : !!collapsed;
+    const { collapseAll } = this.groupConfig;
+
+    if (next === collapseAll) {
+      this.groupConfig.collapsed.delete(groupKey);
+    } else {
+      this.groupConfig.collapsed.add(groupKey);
+    }
+
+    const section = this.groupSections.get(groupKey);
+    if (section) {
+      this._updateGroupSection(section, next);
+    }
+    this._setupRovingTabindex();
+    this._emit('grouptoggle', { key: groupKey, collapsed: next });
+  }
+
+  /**
+   * Reflect a group's collapsed state in its section
+   */
+  _updateGroupSection(section, collapsed) {
+    section.classList.toggle('swi-group-collapsed', collapsed);
+    section.querySelector('.swi-group-items').hidden = collapsed;
+    section.querySelectorAll('.swi-group-toggle, [data-swi-group-toggle]').forEach(toggle => {
+      toggle.setAttribute('aria-expanded', String(!collapsed));
+    });
+  }
+
+  /**
+   * Render the page's items as group sections (header + item list), reusing
+   * sections by group key and item nodes by item key
+   */
+  _renderGroups(items) {
+    const nodes = { previous: this.itemNodes, next: new Map() };
+    const sections = new Map();
+    const firstIndex = this.paginationConfig.enabled && this.paginationConfig.mode === 'pages' && !this.remoteConfig.enabled
+      ? (this.currentPage - 1) * this.paginationConfig.itemsPerPage
+      : 0;
+
+    // Sections are not list items
+    if (this.container.getAttribute('role') === 'list') {
+      this.container.removeAttribute('role');
+    }
+
+    const elements = this._groupItems(items, firstIndex).map(group => {
+      let section = this.groupSections.get(group.key);
+
+      // A group split across the page boundary only appears once per page
+      if (!section || sections.has(group.key)) {
+        section = document.createElement('div');
+        section.className = 'swi-group';
+        section.innerHTML = '<div class="swi-group-header"></div><div class="swi-group-items"></div>';
+      }
+      if (!sections.has(group.key)) {
+        sections.set(group.key, section);
+      }
+
+      section.setAttribute('data-swi-group', group.key);
+      section.classList.toggle('swi-group-continued', group.continued);
+
+      const header = section.querySelector('.swi-group-header');
+      header.innerHTML = '';
+      const headerElement = this._createElementFromHTML(this._getGroupHeader(group));
+      if (headerElement) {
+        header.appendChild(headerElement);
+      }
+
+      const list = section.querySelector('.swi-group-items');
+      list.setAttribute('role', 'list');
+      list.setAttribute('aria-label', group.label);
+      this._reconcileItems(list, group.items, nodes);
+      this._updateGroupSection(section, group.collapsed);
+      return section;
+    });
+
+    this._syncChildren(this.container, elements);
+    this.itemNodes = nodes.next;
+    this.groupSections = sections;
+    this._bindGroupToggle();
+  }
+
+  /**
+   * Header content for a group: groupTemplate(group) or the default toggle
+   */
+  _getGroupHeader(group) {
+    if (this.groupConfig.template) {
+      return this.groupConfig.template(group);
+    }
+
+    const content = `
+      <span class="swi-group-label">${escapeHTML(group.label)}</span>
+      ${group.continued ? `<span class="swi-group-continued-label">${escapeHTML(this._message('groupContinued'))}</span>` : ''}
+      <span class="swi-group-count">${group.total}</span>
+    `;
+    return `
+      <div class="swi-group-title" role="heading" aria-level="3">
+        ${this.groupConfig.collapsible
+          ? `<button type="button" class="swi-group-toggle" aria-expanded="${!group.collapsed}">${content}</button>`
+          : content}
+      </div>
+    `;
+  }
+
+  /**
+   * Toggle groups from header clicks, bound once on the container
+   */
+  _bindGroupToggle() {
+    if (this.groupToggleBound || !this.groupConfig.collapsible) {
+      return;
+    }
+
+    const clickHandler = (e) => {
+      const toggle = e.target.closest('.swi-group-toggle, [data-swi-group-toggle]');
+      const section = toggle && toggle.closest('.swi-group');
+      if (!section || !this.container.contains(section)) return;
+
+      e.preventDefault();
+      this.toggleGroup(section.getAttribute('data-swi-group'));
+    };
+
+    this.container.addEventListener('click', clickHandler);
+    this.eventListeners.push({
+      element: this.container,
+      event: 'click',
+      handler: clickHandler
+    });
+    this.groupToggleBound = true;
+  }
+
+  /**
+   * Switch layout (e.g. 'grid', 'list' or 'table') and re-render the current results
+   * Views other than 'table' use viewTemplates[view], falling back to itemTemplate.
+   */
+  setView(view) {
+    if (view === 'table' ? this.columns.length === 0 : typeof (this.viewTemplates[view] || this.itemTemplate) !== 'function') {
+      throw new Error(`SWI: the "${view}" view needs ${view === 'table' ? 'columns' : 'an itemTemplate'}`);
+    }
+    if (view === this.view) {
+      return;
+    }
+
+    const previousView = this.view;
+    this.view = view;
+
+    // Rendered nodes belong to the previous layout
+    this.itemNodes.clear();
+    this._syncViewControls();
+    if (this.hasRendered) {
+      this.render();
+    }
+    this._emit('viewchange', { view, previousView });
+  }
+
+  /**
+   * Get the active view (null when no view was set)
+   */
+  getView() {
+    return this.view;
+  }
+
+  /**
+   * Resolve the item template for the active view
+   */
+  _getItemTemplate() {
+    if (this.view === 'table') {
+      return (item) => this._getTableRow(item);
+    }
+    return (this.view && this.viewTemplates[this.view]) || this.itemTemplate;
+  }
+
+  /**
+   * Apply the initial view and bind data-swi-view-toggle buttons
+   */
+  _setupViews() {
+    const toggles = typeof this.viewToggles === 'string'
+      ? Array.from(document.querySelectorAll(this.viewToggles))
+      : Array.from(this.viewToggles || []);
+    this.viewToggles = toggles;
+
+    toggles.forEach(element => {
+      const clickHandler = (e) => {
+        e.preventDefault();
+        this.setView(element.getAttribute('data-swi-view-toggle'));
+      };
+
+      element.addEventListener('click', clickHandler);
+      this.eventListeners.push({
+        element,
+        event: 'click',
+        handler: clickHandler
+      });
+    });
+
+    this._syncViewControls();
+  }
+
+  /**
+   * Reflect the active view in the container classes and toggle buttons
+   */
+  _syncViewControls() {
+    if (!this.view) {
+      return;
+    }
+
+    Array.from(this.container.classList)
+      .filter(className => className.indexOf('swi-view-') === 0)
+      .forEach(className => this.container.classList.remove(className));
+    this.container.classList.add(`swi-view-${this.view}`);
+    // Grid view reuses the .swi-item-container.swi-grid layout
+    this.container.classList.toggle('swi-grid', this.view === 'grid');
+
+    (this.viewToggles || []).forEach(element => {
+      const active = element.getAttribute('data-swi-view-toggle') === this.view;
+      element.classList.toggle('swi-active', active);
+      element.setAttribute('aria-pressed', String(active));
+    });
+  }
+
+  /**
+   * Get the table body, creating the table and refreshing its header
+   */
+  _getTableBody() {
+    if (!this.tableElement) {
+      this.tableElement = document.createElement('table');
+      this.tableElement.className = 'swi-table';
+      this.tableElement.innerHTML = '<thead></thead><tbody></tbody>';
+    }
+
+    const table = this.tableElement;
+    if (this.a11yConfig.label) {
+      table.setAttribute('aria-label', this.a11yConfig.label);
+    }
+    table.tHead.innerHTML = this._getTableHeadHTML();
+
+    // The table replaces list semantics and any loading, empty or error state
+    if (this.container.getAttribute('role') === 'list') {
+      this.container.removeAttribute('role');
+    }
+    this._syncChildren(this.container, [table]);
+    this._bindTableSort();
+    return table.tBodies[0];
+  }
+
+  /**
+   * Header row markup with sort buttons and aria-sort on sortable columns
+   */
+  _getTableHeadHTML() {
+    const primary = this.sortConfig.criteria[0];
+
+    const cells = this.columns.map(column => {
+      const header = this._getCellHTML(column.header);
+      // Widths are set on the header only, so narrow-screen card layouts can ignore them
+      const attributes = this._getCellAttributes(column)
+        + (column.width ? ` style="width: ${escapeHTML(column.width)}"` : '');
+      if (!column.sortKey) {
+        return `<th scope="col"${attributes}>${header}</th>`;
+      }
+
+      const direction = primary && primary.key === column.sortKey ? primary.direction : null;
+      const ariaSort = direction ? (direction === 'asc' ? 'ascending' : 'descending') : 'none';
+      const classes = direction ? ` swi-sort-active swi-sort-${direction}` : '';
+      return `
+        <th scope="col" aria-sort="${ariaSort}"${attributes}>
+          <button type="button" class="swi-table-sort${classes}" data-swi-sort-key="${escapeHTML(column.sortKey)}">${header}</button>
+        </th>`;
+    });
+
+    return `<tr>${cells.join('')}</tr>`;
+  }
+
+  /**
+   * Row markup for an item in the table view
+   */
+  _getTableRow(item) {
+    const cells = this.columns.map(column => {
+      const value = column.get(item);
+      const content = column.format ? column.format(value, item) : value;
+      // data-label lets narrow screens show the header next to each value
+      const label = typeof column.header === 'string' ? ` data-label="${escapeHTML(column.header)}"` : '';
+      return `<td${this._getCellAttributes(column)}${label}>${this._getCellHTML(content)}</td>`;
+    });
+
+    return new SWISafeHTML(`<tr class="swi-table-row">${cells.join('')}</tr>`);
+  }
+
+  /**
+   * Shared header and cell attributes for a column
+   */
+  _getCellAttributes(column) {
+    const classes = [column.align ? `swi-align-${column.align}` : '', column.className || ''].filter(Boolean).join(' ');
+    return ` data-swi-column="${escapeHTML(column.id)}"` + (classes ? ` class="${escapeHTML(classes)}"` : '');
+  }
+
+  /**
+   * Cell content: text is escaped, html`` results and DOM nodes are kept as markup
+   * Data can come from untrusted JSON, so only real nodes count as markup, and
+   * they go through the sanitizer like string item templates.
+   */
+  _getCellHTML(value) {
+    if (value instanceof SWISafeHTML) {
+      return value.value;
+    }
+
+    const isNode = (content) => typeof Node !== 'undefined' && content instanceof Node;
+    if (isNode(value)) {
+      const toHTML = (node) => {
+        const wrapper = document.createElement('div');
+        wrapper.appendChild(node.cloneNode(true));
+        return wrapper.innerHTML;
+      };
+      if (!this.sanitizer) {
+        return toHTML(value);
+      }
+      const sanitized = this.sanitizer(toHTML(value));
+      return isNode(sanitized) ? toHTML(sanitized) : String(sanitized);
+    }
+
+    return escapeHTML(Array.isArray(value) ? value.join(', ') : value);
+  }
+
+  /**
+   * Sort from table header clicks, bound once on the container
+   */
+  _bindTableSort() {
+    if (this.tableSortBound) {
+      return;
+    }
+
+    const clickHandler = (e) => {
+      const button = e.target.closest('.swi-table-sort');
+      if (!button || !this.tableElement || !this.tableElement.contains(button)) return;
+
+      e.preventDefault();
+      const key = button.getAttribute('data-swi-sort-key');
+      const current = this.sortConfig.criteria[0];
+
+      // Clicking the active column toggles its direction
+      this.sort(key, current && current.key === key && current.direction === 'asc' ? 'desc' : 'asc');
+
+      // The header row is re-rendered, so move focus to the new button
+      const header = Array.from(this.tableElement.querySelectorAll('.swi-table-sort'))
+        .find(element => element.getAttribute('data-swi-sort-key') === key);
+      if (header) header.focus();
+    };
+
+    this.container.addEventListener('click', clickHandler);
+    this.eventListeners.push({
+      element: this.container,
+      event: 'click',
+      handler: clickHandler
+    });
+    this.tableSortBound = true;
+  }
+
+  /**
+   * Check whether an item is selected
+   */
+  isSelected(id) {
+    return this.selection.has(id);
+  }
+
+  /**
+   * Get the selected items in the order they were selected
+   */
+  getSelected() {
+    return Array.from(this.selection.values());
+  }
+
+  /**
+   * Get the ids of the selected items
+   */
+  getSelectedIds() {
+    return Array.from(this.selection.keys());
+  }
+
+  /**
+   * Select (or with selected = false, deselect) one or more items by id
+   */
+  select(ids, selected = true) {
+    this._changeSelection([].concat(ids), selected);
+    return this;
+  }
+
+  /**
+   * Deselect one or more items by id
+   */
+  deselect(ids) {
+    return this.select(ids, false);
+  }
+
+  /**
+   * Toggle the selection of an item
+   */
+  toggleSelection(id) {
+    return this.select(id, !this.selection.has(id));
+  }
+
+  /**
+   * Select every item matching the current search and filters ('results')
+   * or only the items on the current page ('page')
+   */
+  selectAll(scope = 'results') {
+    if (this.selectionConfig.mode === 'single') {
+      return this;
+    }
+    const items = scope === 'page' ? this._getPaginatedData() : this.filteredData;
+    return this.select(items.map(item => this._getItemKey(item)));
+  }
+
+  /**
+   * Deselect everything
+   */
+  clearSelection() {
+    return this.deselect(this.getSelectedIds());
+  }
+
+  /**
+   * Add or remove keys from the selection and emit selectionchange when it changed
+   * Single mode keeps only the last selected key.
+   */
+  _changeSelection(keys, selected) {
+    if (!this.selectionConfig.enabled) {
+      return;
+    }
+
+    const added = [];
+    const removed = [];
+    let targets = keys;
+
+    if (selected) {
+      if (this.selectionConfig.mode === 'single') {
+        targets = keys.slice(-1);
+        this.selection.forEach((item, key) => {
+          if (!targets.includes(key)) {
+            this.selection.delete(key);
+            removed.push(item);
+          }
+        });
+      }
+
+      // Ids that are not in the data are ignored
+      const items = new Map(this.data.map(item => [this._getItemKey(item), item]));
+      targets.forEach(key => {
+        if (!this.selection.has(key) && items.has(key)) {
+          this.selection.set(key, items.get(key));
+          added.push(items.get(key));
+        }
+      });
+    } else {
+      targets.forEach(key => {
+        if (this.selection.has(key)) {
+          removed.push(this.selection.get(key));
+          this.selection.delete(key);
+        }
+      });
+    }
+
+    if (added.length === 0 && removed.length === 0) {
+      return;
+    }
+
+    this._syncSelection();
+    this._emit('selectionchange', {
+      selected: this.getSelected(),
+      ids: this.getSelectedIds(),
+      count: this.selection.size,
+      added,
+      removed
+    });
+  }
+
+  /**
+   * Select or deselect the results between two ids (inclusive)
+   */
+  _selectRange(from, to, selected) {
+    const keys = this.filteredData.map(item => this._getItemKey(item));
+    const start = keys.indexOf(from);
+    const end = keys.indexOf(to);
+
+    // Without a visible anchor only the clicked item changes
+    if (start === -1 || end === -1) {
+      this.select(to, selected);
+      return;
+    }
+    this.select(keys.slice(Math.min(start, end), Math.max(start, end) + 1), selected);
+  }
+
+  /**
+   * Drop selected items that are no longer in the data and keep updated copies of the rest
+   */
+  _pruneSelection() {
+    // Server-side data only holds the current page
+    if (!this.selectionConfig.enabled || this.selection.size === 0 || this.remoteConfig.enabled) {
+      return;
+    }
+
+    const items = new Map(this.data.map(item => [this._getItemKey(item), item]));
+    const missing = [];
+    this.selection.forEach((item, key) => {
+      if (items.has(key)) {
+        this.selection.set(key, items.get(key));
+      } else {
+        missing.push(key);
+      }
+    });
+    this.deselect(missing);
+  }
+
+  /**
+   * Resolve the selectAll or count option to an element
+   */
+  _getSelectionElement(name) {
+    const value = this.selectionConfig[name];
+    if (typeof value !== 'string') {
+      return value;
+    }
+
+    const element = document.querySelector(value);
+    if (element) {
+      this.selectionConfig[name] = element;
+    }
+    return element;
+  }
+
+  /**
+   * Reflect the selection on the rendered items, the select-all control and the count
+   */
+  _syncSelection() {
+    if (!this.selectionConfig.enabled || !this.container) {
+      return;
+    }
+
+    const elements = this.virtualState && this.view !== 'table'
+      ? Array.from(this.virtualState.list.children)
+      : Array.from(this.itemNodes.values(), entry => entry.element);
+    elements.forEach(element => {
+      if (!this.elementKeys.has(element)) return;
+      const selected = this.selection.has(this.elementKeys.get(element));
+      element.classList.toggle('swi-selected', selected);
+      element.querySelectorAll('[data-swi-select]').forEach(control => {
+        control.checked = selected;
+      });
+    });
+    this.container.classList.toggle('swi-has-selection', this.selection.size > 0);
+
+    // Checked when every matching result is selected, indeterminate when some are
+    const selectAll = this._getSelectionElement('selectAll');
+    if (selectAll) {
+      const count = this.filteredData.filter(item => this.selection.has(this._getItemKey(item))).length;
+      selectAll.checked = count > 0 && count === this.filteredData.length;
+      selectAll.indeterminate = count > 0 && count < this.filteredData.length;
+      selectAll.disabled = this.selectionConfig.mode === 'single' || this.filteredData.length === 0;
+    }
+
+    const countElement = this._getSelectionElement('count');
+    if (countElement) {
+      countElement.textContent = this.selection.size;
+    }
+
+    this._bindSelection();
+  }
+
+  /**
+   * Find the rendered item element containing target
+   */
+  _getItemElementFromTarget(target) {
+    let node = target;
+    while (node && node !== this.container) {
+      if (this.elementKeys.has(node)) {
+        return node;
+      }
+      node = node.parentNode;
+    }
+    return null;
+  }
+
+  /**
+   * Select or deselect the item of an element; with range, from the last clicked item
+   */
+  _selectElement(element, selected, range) {
+    const key = this.elementKeys.get(element);
+    if (range && this.selectionConfig.mode === 'multiple' && this.selectionAnchor !== null) {
+      this._selectRange(this.selectionAnchor, key, selected);
+    } else {
+      this.select(key, selected);
+      this.selectionAnchor = key;
+    }
+    // Controls may have been toggled by the browser for an ignored change
+    this._syncSelection();
+  }
+
+  /**
+   * Bind item clicks, Space on focused items and the select-all control once
+   */
+  _bindSelection() {
+    if (this.selectionBound) {
+      return;
+    }
+
+    const clickHandler = (e) => {
+      const element = this._getItemElementFromTarget(e.target);
+      if (!element) return;
+
+      const control = e.target.closest('[data-swi-select]');
+      if (!control) {
+        // Links, buttons and form fields inside an item keep their own behavior
+        if (!this.selectionConfig.selectOnClick || e.target.closest('a, button, input, select, textarea, label, [contenteditable]')) return;
+      }
+
+      const key = this.elementKeys.get(element);
+      // Checkboxes and radios have already changed state when click fires
+      const selected = control && (control.type === 'checkbox' || control.type === 'radio')
+        ? control.checked
+        : !this.selection.has(key);
+      this._selectElement(element, selected, e.shiftKey);
+    };
+
+    const keydownHandler = (e) => {
+      if (e.key !== ' ' && e.key !== 'Spacebar') return;
+      const element = this._getItemElementFromTarget(e.target);
+      if (!element || element !== e.target) return;
+
+      e.preventDefault();
+      this._selectElement(element, !this.selection.has(this.elementKeys.get(element)), e.shiftKey);
+    };
+
+    this.container.addEventListener('click', clickHandler);
+    this.container.addEventListener('keydown', keydownHandler);
+    this.eventListeners.push(
+      { element: this.container, event: 'click', handler: clickHandler },
+      { element: this.container, event: 'keydown', handler: keydownHandler }
+    );
+
+    const selectAll = this._getSelectionElement('selectAll');
+    if (selectAll) {
+      const changeHandler = () => {
+        if (selectAll.checked) {
+          this.selectAll();
+        } else {
+          this.deselect(this.filteredData.map(item => this._getItemKey(item)));
+        }
+        this._syncSelection();
+      };
+      selectAll.addEventListener('change', changeHandler);
+      this.eventListeners.push({
+        element: selectAll,
+        event: 'change',
+        handler: changeHandler
+      });
+    }
+
+    this.selectionBound = true;
+  }
+
+  /**
+   * Export results as CSV, JSON or NDJSON
+   * scope: 'filtered' (every matching result, default), 'page', 'all' or 'selected'
+   * to: 'string' (default), 'blob', 'download' (returns the Blob) or 'clipboard' (returns a Promise)
+   */
+  export(options = {}) {
+    const format = options.format || 'csv';
+    const exporter = SenangWebsIndex.exportFormats[format];
+    if (!exporter) {
+      throw new Error(`SWI: Unknown export format "${format}"`);
+    }
+
+    const scope = options.scope || 'filtered';
+    const items = this._getExportItems(scope);
+    const columns = options.fields ? getExportColumns(items, [].concat(options.fields)) : null;
+    const content = exporter.serialize(items, columns, options);
+    const to = options.to || (options.filename ? 'download' : 'string');
+
+    this._emit('export', { format, scope, items, to });
+
+    if (to === 'string') {
+      return content;
+    }
+    if (to === 'clipboard') {
+      return this._copyToClipboard(content);
+    }
+
+    const blob = new Blob([content], { type: `${exporter.type};charset=utf-8` });
+    if (to === 'download') {
+      this._downloadBlob(blob, options.filename || `export.${exporter.extension}`);
+    }
+    return blob;
+  }
+
+  /**
+   * Items for an export scope
+   */
+  _getExportItems(scope) {
+    switch (scope) {
+      case 'filtered':
+        return this.filteredData;
+      case 'page':
+        return this._getPaginatedData();
+      case 'all':
+        return this.data;
+      case 'selected':
+        return this.getSelected();
+      default:
+        throw new Error(`SWI: Unknown export scope "${scope}"`);
+    }
+  }
+
+  /**
+   * Save a Blob through a temporary download link
+   */
+  _downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Revoke once the browser has picked up the download
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  /**
+   * Copy text to the clipboard, resolving with the text
+   */
+  _copyToClipboard(text) {
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      return navigator.clipboard.writeText(text).then(() => text);
+    }
+
+    // Fallback for insecure contexts and older browsers
+    return new Promise((resolve, reject) => {
+      const textarea = document.createElement('textarea');
+      textarea.value = text;
+      textarea.setAttribute('readonly', '');
+      textarea.style.position = 'fixed';
+      textarea.style.opacity = '0';
+      document.body.appendChild(textarea);
+      textarea.select();
+      const copied = document.execCommand('copy');
+      textarea.remove();
+
+      if (copied) {
+        resolve(text);
+      } else {
+        reject(new Error('SWI: Copying to the clipboard failed'));
+      }
+    });
+  }
+
+  /**
+   * Sort filteredData in place using the active criteria
+   */
+  _applySort() {
+    const criteria = this.sortConfig.criteria;
+    if (criteria.length === 0) {
+      return;
+    }
+
+    const collator = new Intl.Collator(this.sortConfig.locale, this.sortConfig.collatorOptions);
+
+    // Detect the value type of each key once over the current result set
+    const resolved = criteria.map(criterion => ({
+      ...criterion,
+      type: criterion.compare ? null : (criterion.type || this._detectSortType(criterion.key))
+    }));
+
+    this.filteredData.sort((a, b) => {
+      for (const criterion of resolved) {
+        let result;
+
+        if (criterion.compare) {
+          result = criterion.key
+            ? criterion.compare(this._getValue(a, criterion.key), this._getValue(b, criterion.key), a, b)
+            : criterion.compare(a, b);
+        } else {
+          const valueA = this._getValue(a, criterion.key);
+          const valueB = this._getValue(b, criterion.key);
+          const emptyA = valueA === undefined || valueA === null || valueA === '';
+          const emptyB = valueB === undefined || valueB === null || valueB === '';
+
+          // Empty values always sort last, regardless of direction
+          if (emptyA || emptyB) {
+            if (emptyA && emptyB) continue;
+            return emptyA ? 1 : -1;
+          }
+
+          result = this._compareValues(valueA, valueB, criterion.type, collator);
+        }
+
+        if (result !== 0) {
+          return criterion.direction === 'desc' ? -result : result;
+        }
+      }
+      return 0;
+    });
+  }
+
+  /**
+   * Detect whether a key holds numbers, dates or strings
+   */
+  _detectSortType(key) {
+    let type = null;
+
+    for (const item of this.filteredData) {
+      const value = this._getValue(item, key);
+      if (value === undefined || value === null || value === '') continue;
+
+      let valueType = 'string';
+      if (typeof value === 'number' || (typeof value === 'string' && /^\s*-?\d+(\.\d+)?\s*$/.test(value))) {
+        valueType = 'number';
+      } else if (value instanceof Date
+        || (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value) && !isNaN(Date.parse(value)))) {
+        valueType = 'date';
+      }
+
+      if (type && type !== valueType) {
+        return 'string';
+      }
+      type = valueType;
+    }
+
+    return type || 'string';
+  }
+
+  /**
+   * Compare two non-empty values of a known type
+   */
+  _compareValues(a, b, type, collator) {
+    if (type === 'number') {
+      return parseFloat(a) - parseFloat(b);
+    }
+    if (type === 'date') {
+      return new Date(a).getTime() - new Date(b).getTime();
+    }
+    return collator.compare(String(a), String(b));
+  }
+
+  /**
+   * Set a filter on a field
+   * Accepts a predicate function, an array of allowed values, a { min, max } range
+   * or a single value. Pass null to remove the filter.
+   */
+  setFilter(key, condition) {
+    if (condition === null || condition === undefined) {
+      this.filters.delete(key);
+    } else {
+      this.filters.set(key, this._normalizeFilter(condition));
+    }
+
+    this._refresh();
+  }
+
+  /**
+   * Remove a single filter
+   */
+  removeFilter(key) {
+    this.setFilter(key, null);
+  }
+
+  /**
+   * Remove all filters
+   */
+  clearFilters() {
+    this.filters.clear();
+    this._refresh();
+  }
+
+  /**
+   * Get the active filters as { key: condition }
+   */
+  getFilters() {
+    const filters = {};
+    this.filters.forEach((filter, key) => {
+      filters[key] = filter.condition;
+    });
+    return filters;
+  }
+
+  /**
+   * Normalize a filter condition into a test function
+   */
+  _normalizeFilter(condition) {
+    if (typeof condition === 'function') {
+      return { kind: 'predicate', condition, test: (value, item) => !!condition(value, item) };
+    }
+
+    if (Array.isArray(condition)) {
+      const allowed = new Set(condition.map(value => String(value)));
+      return {
+        kind: 'values',
+        condition,
+        values: allowed,
+        test: (value) => this._toFacetValues(value).some(entry => allowed.has(entry))
+      };
+    }
+
+    if (typeof condition === 'object' && ('min' in condition || 'max' in condition)) {
+      const min = condition.min === null || condition.min === undefined || condition.min === '' ? null : Number(condition.min);
+      const max = condition.max === null || condition.max === undefined || condition.max === '' ? null : Number(condition.max);
+      return {
+        kind: 'range',
+        condition,
+        min,
+        max,
+        test: (value) => {
+          const number = parseFloat(value);
+          if (isNaN(number)) return false;
+          return (min === null || number >= min) && (max === null || number <= max);
+        }
+      };
+    }
+
+    return this._normalizeFilter([condition]);
+  }
+
+  /**
+   * Check an item against all filters, optionally skipping one key
+   */
+  _matchesFilters(item, excludeKey = null) {
+    for (const [key, filter] of this.filters) {
+      if (key === excludeKey) continue;
+      if (!filter.test(this._getValue(item, key), item)) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Convert a field value to a list of string facet values (arrays count each entry)
+   */
+  _toFacetValues(value) {
+    const values = Array.isArray(value) ? value : [value];
+    return values
+      .filter(entry => entry !== undefined && entry !== null && entry !== '')
+      .map(entry => String(entry));
+  }
+
+  /**
+   * Compute facet counts for a field over the current result set
+   * Counts ignore the field's own filter so other values stay selectable.
+   */
+  getFacets(key, options = {}) {
+    const sortBy = options.sort || 'count';
+    const filter = this.filters.get(key);
+    const selected = filter && filter.kind === 'values' ? filter.values : new Set();
+    const counts = new Map();
+
+    (this.searchResults || this.data).forEach(item => {
+      if (!this._matchesFilters(item, key)) return;
+      this._toFacetValues(this._getValue(item, key)).forEach(value => {
+        counts.set(value, (counts.get(value) || 0) + 1);
+      });
+    });
+
+    // Keep selected values visible even when they have no matches
+    selected.forEach(value => {
+      if (!counts.has(value)) counts.set(value, 0);
+    });
+
+    const collator = new Intl.Collator(this.sortConfig.locale, this.sortConfig.collatorOptions);
+    return Array.from(counts, ([value, count]) => ({ value, count, selected: selected.has(value) }))
+      .sort((a, b) => {
+        if (sortBy === 'count' && a.count !== b.count) {
+          return b.count - a.count;
+        }
+        return collator.compare(a.value, b.value);
+      });
+  }
+
+  /**
+   * Resolve facet elements and bind their controls
+   */
+  _setupFacets() {
+    this.facetConfig.facets.forEach(facet => {
+      if (!facet.element && facet.selector) {
+        facet.element = document.querySelector(facet.selector);
+      }
+      if (!facet.element) return;
+
+      facet.element.classList.add('swi-facet', `swi-facet-${facet.type}`);
+
+      const changeHandler = (e) => {
+        const target = e.target;
+
+        if (facet.type === 'range') {
+          const inputs = facet.element.querySelectorAll('[data-swi-facet-bound]');
+          const range = {};
+          inputs.forEach(input => {
+            range[input.getAttribute('data-swi-facet-bound')] = input.value;
+          });
+          this.setFilter(facet.key, range.min === '' && range.max === '' ? null : range);
+        } else if (facet.type === 'select') {
+          this.setFilter(facet.key, target.value ? [target.value] : null);
+        } else if (target.matches('input[type="checkbox"]')) {
+          const values = Array.from(facet.element.querySelectorAll('input[type="checkbox"]:checked'))
+            .map(input => input.value);
+          this.setFilter(facet.key, values.length > 0 ? values : null);
+        }
+      };
+
+      const clickHandler = (e) => {
+        const chip = e.target.closest('[data-swi-facet-value]');
+        if (!chip || facet.type !== 'chips') return;
+
+        e.preventDefault();
+        const value = chip.getAttribute('data-swi-facet-value');
+        const filter = this.filters.get(facet.key);
+        const values = new Set(filter && filter.kind === 'values' ? filter.values : []);
+        if (values.has(value)) {
+          values.delete(value);
+        } else {
+          values.add(value);
+        }
+        this.setFilter(facet.key, values.size > 0 ? Array.from(values) : null);
+      };
+
+      const eventName = facet.type === 'range' ? 'input' : 'change';
+      const handler = facet.type === 'range' ? this._debounce(changeHandler, 300) : changeHandler;
+
+      facet.element.addEventListener(eventName, handler);
+      facet.element.addEventListener('click', clickHandler);
+      this.eventListeners.push(
+        { element: facet.element, event: eventName, handler },
+        { element: facet.element, event: 'click', handler: clickHandler }
+      );
+
+      facet.bound = true;
+    });
+
+    this._renderFacets();
+  }
+
+  /**
+   * Render or update all bound facet controls
+   */
+  _renderFacets() {
+    this.facetConfig.facets.forEach(facet => {
+      if (facet.bound) {
+        this._renderFacet(facet);
+      }
+    });
+  }
+
+  /**
+   * Render a single facet control with live counts
+   */
+  _renderFacet(facet) {
+    const element = facet.element;
+
+    if (facet.type === 'range') {
+      // Range inputs are built once so typing is not interrupted
+      if (!element.querySelector('[data-swi-facet-bound]')) {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'swi-facet-range';
+        ['min', 'max'].forEach(bound => {
+          const input = document.createElement('input');
+          input.type = 'number';
+          input.className = 'swi-facet-range-input';
+          input.setAttribute('data-swi-facet-bound', bound);
+          input.setAttribute('aria-label', `${facet.key} ${bound}`);
+          const filter = this.filters.get(facet.key);
+          if (filter && filter.kind === 'range' && filter[bound] !== null) {
+            input.value = filter[bound];
+          }
+          wrapper.appendChild(input);
+        });
+        element.appendChild(wrapper);
+      }
+
+      // A loop rather than Math.min(...numbers), which overflows the call stack on large datasets
+      let min = Infinity;
+      let max = -Infinity;
+      this.data.forEach(item => {
+        const value = parseFloat(this._getValue(item, facet.key));
+        if (!isNaN(value)) {
+          min = Math.min(min, value);
+          max = Math.max(max, value);
+        }
+      });
+      if (min <= max) {
+        element.querySelector('[data-swi-facet-bound="min"]').placeholder = min;
+        element.querySelector('[data-swi-facet-bound="max"]').placeholder = max;
+      }
+      return;
+    }
+
+    const facets = this.getFacets(facet.key, { sort: facet.sort });
+    const focusedValue = element.contains(document.activeElement)
+      ? (document.activeElement.value || document.activeElement.getAttribute('data-swi-facet-value'))
+      : null;
+
+    element.innerHTML = '';
+
+    if (facet.type === 'select') {
+      const select = document.createElement('select');
+      select.className = 'swi-facet-select';
+      select.appendChild(new Option(this._message('facetAll'), ''));
+      facets.forEach(({ value, count, selected }) => {
+        select.appendChild(new Option(`${value} (${count})`, value, false, selected));
+      });
+      element.appendChild(select);
+      if (focusedValue !== null) select.focus();
+      return;
+    }
+
+    if (facet.type === 'chips') {
+      const list = document.createElement('div');
+      list.className = 'swi-facet-chips';
+      facets.forEach(({ value, count, selected }) => {
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = `swi-facet-chip${selected ? ' swi-active' : ''}`;
+        chip.setAttribute('data-swi-facet-value', value);
+        chip.setAttribute('aria-pressed', selected ? 'true' : 'false');
+        chip.disabled = count === 0 && !selected;
+        chip.appendChild(this._createFacetLabel(value, count));
+        list.appendChild(chip);
+        if (focusedValue === value) chip.focus();
+      });
+      element.appendChild(list);
+      return;
+    }
+
+    const list = document.createElement('ul');
+    list.className = 'swi-facet-list';
+    facets.forEach(({ value, count, selected }) => {
+      const option = document.createElement('li');
+      option.className = `swi-facet-option${count === 0 ? ' swi-disabled' : ''}`;
+      const label = document.createElement('label');
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.value = value;
+      input.checked = selected;
+      input.disabled = count === 0 && !selected;
+      label.appendChild(input);
+      label.appendChild(this._createFacetLabel(value, count));
+      option.appendChild(label);
+      list.appendChild(option);
+      if (focusedValue === value) input.focus();
+    });
+    element.appendChild(list);
+  }
+
+  /**
+   * Create the label and count nodes for a facet option
+   */
+  _createFacetLabel(value, count) {
+    const fragment = document.createDocumentFragment();
+    const label = document.createElement('span');
+    label.className = 'swi-facet-label';
+    label.textContent = value;
+    const counter = document.createElement('span');
+    counter.className = 'swi-facet-count';
+    counter.textContent = count;
+    fragment.appendChild(label);
+    fragment.appendChild(counter);
+    return fragment;
+  }
+
+  /**
+   * Render the data
+   */
+  render() {
+    // beforeRender hooks and swi:beforerender listeners may replace the items or cancel
+    const hook = this._runHook('beforeRender', this._getPaginatedData());
+    if (hook.cancelled || !this._emit('beforerender', { items: hook.value }, true)) {
+      return;
+    }
+    const paginatedData = hook.value;
+    this.hasRendered = true;
+    
+    // Show empty state if no data
+    if (paginatedData.length === 0) {
+      this.itemNodes.clear();
+      this.container.innerHTML = this._getEmptyStateHTML();
+      
+      // Clear pagination
+      if (this.paginationConfig.enabled && this.paginationConfig.containerElement) {
+        this.paginationConfig.containerElement.innerHTML = '';
+      }
+      
+      this._renderSummary();
+      this._syncSelection();
+      this._writeUrlState();
+      this._emit('render', { items: paginatedData, page: this.currentPage });
+      return;
+    }
+    
+    // Render items
+    if (this.view === 'table') {
+      // Table rows are keyed like list items; virtual scrolling and grouping do not apply
+      this._reconcileItems(this._getTableBody(), paginatedData);
+      this._setupRovingTabindex();
+    } else if (this.virtualConfig.enabled) {
+      this._renderVirtual(paginatedData);
+    } else if (this.groupConfig.enabled) {
+      this._renderGroups(paginatedData);
+      this._setupRovingTabindex();
+    } else {
+      // Keep existing item nodes and only insert, move or replace what changed
+      this._applyListRole(this.container);
+      this._reconcileItems(this.container, paginatedData);
+      this._setupRovingTabindex();
+    }
+    
+    // Render pagination
+    if (this.paginationConfig.enabled && this.paginationConfig.containerElement) {
+      this._renderPagination();
+    }
+    
+    this._renderSummary();
+    this._syncSelection();
+    this._writeUrlState();
+    this._emit('render', { items: paginatedData, page: this.currentPage });
+  }
+
+  /**
+   * Markup for the empty state
+   */
+  _getEmptyStateHTML(sanitize = this.sanitizer) {
+    const hasCriteria = !!(this.searchQuery && this.searchQuery.trim()) || this.filters.size > 0;
+    const noData = this.data.length === 0 && !hasCriteria;
+    const message = this._message(noData ? 'noData' : 'noResults');
+    
+    if (this.stateTemplates.empty) {
+      const context = { query: this.searchQuery || '', filters: this.getFilters(), noData, title: this._message('emptyTitle'), message };
+      return `
+        <div class="swi-empty-state" role="status">
+          ${this._renderStateTemplate(this.stateTemplates.empty, context, sanitize)}
+        </div>
+      `;
+    }
+    
+    return `
+        <div class="swi-empty-state" role="status">
+          <div class="swi-empty-icon" aria-hidden="true">📭</div>
+          <h3>${escapeHTML(this._message('emptyTitle'))}</h3>
+          <p>${escapeHTML(message)}</p>
+        </div>
+      `;
+  }
+
+  /**
+   * Register server-rendered item elements for the current page so the first
+   * render keeps them instead of rebuilding the list
+   */
+  _adoptRenderedItems() {
+    const items = this._getPaginatedData();
+    const table = this.view === 'table' ? this.container.querySelector('table.swi-table') : null;
+    if (table && table.tBodies[0]) {
+      this.tableElement = table;
+    }
+    const parent = this.tableElement ? this.tableElement.tBodies[0] : this.container;
+    const elements = Array.from(parent.children)
+      .filter(element => !element.hasAttribute('data-swi-template'));
+
+    // Markup that does not match the current page is simply re-rendered
+    if (this.virtualConfig.enabled || items.length === 0 || elements.length !== items.length) {
+      return;
+    }
+
+    elements.forEach((element, index) => {
+      if (this._usesListRoles() && !element.hasAttribute('role')) {
+        element.setAttribute('role', 'listitem');
+      }
+      this.itemNodes.set(this._getItemKey(items[index]), { item: items[index], element, query: this.searchQuery });
+      this.elementKeys.set(element, this._getItemKey(items[index]));
+    });
+  }
+
+  /**
+   * Update the children of parent to match items, reusing the nodes of unchanged items
+   * An item is unchanged when it has the same key and is the same object (or, with an
+   * idKey, shallowly equal) and was rendered for the same search query.
+   */
+  _reconcileItems(parent, items, nodes = null) {
+    // Grouped rendering shares one map of nodes across several lists
+    const previous = nodes ? nodes.previous : this.itemNodes;
+    const next = nodes ? nodes.next : new Map();
+
+    const elements = items.map(item => {
+      const key = this._getItemKey(item);
+      const cached = previous.get(key);
+
+      // Duplicate keys cannot share a node, so later duplicates are rendered afresh
+      if (next.has(key)) {
+        return this._createItemElement(item);
+      }
+
+      const element = cached && cached.query === this.searchQuery && this._isSameItem(cached.item, item)
+        ? cached.element
+        : this._createItemElement(item);
+      next.set(key, { item, element, query: this.searchQuery });
+      return element;
+    });
+
+    // Templates that render nothing leave no node
+    this._syncChildren(parent, elements.filter(Boolean));
+    if (!nodes) {
+      this.itemNodes = next;
+    }
+  }
+
+  /**
+   * Make parent's children exactly the given nodes, in order, moving as few as possible
+   */
+  _syncChildren(parent, elements) {
+    // Drop nodes that are no longer rendered (including loading, empty and error states)
+    const keep = new Set(elements);
+    Array.from(parent.childNodes).forEach(node => {
+      if (!keep.has(node)) {
+        node.remove();
+      }
+    });
+
+    // Insert new nodes and move existing ones only when they are out of place
+    let cursor = parent.firstChild;
+    elements.forEach(element => {
+      if (element === cursor) {
+        cursor = cursor.nextSibling;
+      } else {
+        parent.insertBefore(element, cursor);
+      }
+    });
+  }
+
+  /**
+   * Check whether a rendered item can be reused for a new item value
+   */
+  _isSameItem(previous, item) {
+    if (previous === item) {
+      return true;
+    }
+    if (!this.idKey || !previous || !item || typeof previous !== 'object' || typeof item !== 'object') {
+      return false;
+    }
+
+    const keys = Object.keys(item);
+    return keys.length === Object.keys(previous).length
+      && keys.every(key => Object.prototype.hasOwnProperty.call(previous, key) && previous[key] === item[key]);
+  }
+
+  /**
+   * Render items in a virtual scroll viewport
+   * Only rows near the visible window are materialized; a spacer keeps the scroll height.
+   */
+  _renderVirtual(items) {
+    let state = this.virtualState;
+
+    // Rebuild the viewport if the container was replaced (loading, empty or error state)
+    if (!state || !this.container.contains(state.list)) {
+      this.container.innerHTML = '';
+      this.container.classList.add('swi-virtual');
+      this.container.style.height = this.virtualConfig.height;
+      this.container.style.overflowY = 'auto';
+
+      const spacer = document.createElement('div');
+      spacer.className = 'swi-virtual-spacer';
+      const list = document.createElement('div');
+      list.className = 'swi-virtual-items';
+      this._applyListRole(list);
+      spacer.appendChild(list);
+      this.container.appendChild(spacer);
+
+      state = this.virtualState = {
+        spacer,
+        list,
+        items: [],
+        offsets: [0],
+        heights: state ? state.heights : new WeakMap(),
+        start: 0,
+        frame: null
+      };
+      this._bindVirtualScroll();
+    }
+
+    // Keep the first visible item in place if it is still in the results
+    const anchor = state.items[state.start];
+    const anchorDelta = anchor ? this.container.scrollTop - state.offsets[state.start] : 0;
+
+    state.items = items;
+    this._updateVirtualOffsets();
+
+    const anchorIndex = anchor ? items.indexOf(anchor) : -1;
+    if (anchorIndex > -1) {
+      this.container.scrollTop = state.offsets[anchorIndex] + anchorDelta;
+    } else {
+      this.container.scrollTop = Math.min(this.container.scrollTop, state.offsets[items.length]);
+    }
+
+    this._renderVirtualWindow();
+  }
+
+  /**
+   * Bind the (animation-frame throttled) scroll handler once
+   */
+  _bindVirtualScroll() {
+    if (this.virtualScrollBound) {
+      return;
+    }
+
+    const scrollHandler = () => {
+      const state = this.virtualState;
+      if (!state || state.frame) return;
+      state.frame = requestAnimationFrame(() => {
+        state.frame = null;
+        this._renderVirtualWindow();
+      });
+    };
+
+    this.container.addEventListener('scroll', scrollHandler, { passive: true });
+    this.eventListeners.push({
+      element: this.container,
+      event: 'scroll',
+      handler: scrollHandler
+    });
+    this.virtualScrollBound = true;
+  }
+
+  /**
+   * Get a row height: fixed, measured, or the running estimate
+   */
+  _getVirtualHeight(item) {
+    if (this.virtualConfig.itemHeight) {
+      return this.virtualConfig.itemHeight;
+    }
+    return this.virtualState.heights.get(item) || this.virtualConfig.estimatedHeight;
+  }
+
+  /**
+   * Recompute cumulative row offsets and the spacer height
+   */
+  _updateVirtualOffsets() {
+    const state = this.virtualState;
+    const offsets = new Array(state.items.length + 1);
+    offsets[0] = 0;
+
+    for (let i = 0; i < state.items.length; i++) {
+      offsets[i + 1] = offsets[i] + this._getVirtualHeight(state.items[i]);
+    }
+
+    state.offsets = offsets;
+    state.spacer.style.height = `${offsets[state.items.length]}px`;
+  }
+
+  /**
+   * Materialize the rows intersecting the viewport (plus overscan)
+   */
+  _renderVirtualWindow() {
+    const state = this.virtualState;
+    if (!state) return;
+
+    const { items, offsets } = state;
+    const scrollTop = this.container.scrollTop;
+    const viewportHeight = this.container.clientHeight || parseFloat(this.virtualConfig.height) || 600;
+    const overscan = this.virtualConfig.overscan;
+
+    // Binary search for the first row ending below scrollTop
+    let low = 0;
+    let high = items.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (offsets[mid + 1] <= scrollTop) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
     }
-    if (!options.itemTemplate && typeof options.itemTemplate !== 'function') {
-      throw new Error('SWI: itemTemplate function is required');
+
+    let end = low;
+    while (end < items.length && offsets[end] < scrollTop + viewportHeight) {
+      end++;
     }
 
-    // Store configuration - handle both selector strings and direct elements
-    if (typeof options.container === 'string') {
-      this.container = document.querySelector(options.container);
-      if (!this.container) {
-        throw new Error(`SWI: container element not found: ${options.container}`);
+    const start = Math.max(0, low - overscan);
+    end = Math.min(items.length, end + overscan);
+    state.start = low;
+
+    state.list.style.transform = `translateY(${offsets[start]}px)`;
+    state.list.innerHTML = '';
+    const fragment = document.createDocumentFragment();
+    for (let i = start; i < end; i++) {
+      const itemElement = this._createItemElement(items[i]);
+      if (!itemElement) continue;
+      // Expose the full list size to assistive technology
+      itemElement.setAttribute('aria-setsize', items.length);
+      itemElement.setAttribute('aria-posinset', i + 1);
+      fragment.appendChild(itemElement);
+    }
+    state.list.appendChild(fragment);
+    this._syncSelection();
+
+    // Measure rendered rows when heights are not fixed
+    if (!this.virtualConfig.itemHeight) {
+      let changed = false;
+      Array.from(state.list.children).forEach((element, index) => {
+        const style = window.getComputedStyle(element);
+        const height = element.offsetHeight + parseFloat(style.marginTop || 0) + parseFloat(style.marginBottom || 0);
+        const item = items[start + index];
+        if (height > 0 && state.heights.get(item) !== height) {
+          state.heights.set(item, height);
+          changed = true;
+        }
+      });
+
+      if (changed) {
+        this._updateVirtualOffsets();
+        state.list.style.transform = `translateY(${state.offsets[start]}px)`;
       }
-    } else if (options.container instanceof Element) {
-      this.container = options.container;
-    } else {
-      throw new Error('SWI: container must be a selector string or DOM element');
     }
+  }
 
-    this.dataSource = options.data;
-    this.itemTemplate = options.itemTemplate;
-    this.data = [];
-    this.filteredData = [];
-    this.currentPage = 1;
-    
-    // Search configuration
-    this.searchConfig = this._parseSearchConfig(options.search);
+  /**
+   * Scroll a virtual list so the item at index is visible
+   */
+  scrollToIndex(index) {
+    if (!this.virtualState) return;
+    const clamped = Math.max(0, Math.min(index, this.virtualState.items.length - 1));
+    this.container.scrollTop = this.virtualState.offsets[clamped] || 0;
+    this._renderVirtualWindow();
+  }
+
+  /**
+   * Create a DOM element for an item from the item template
+   */
+  _createItemElement(item) {
+    const itemElement = this._createElementFromHTML(this._getItemTemplate()(item, this._getTemplateContext(item)));
+
+    if (itemElement) {
+      if (this._usesListRoles() && itemElement.nodeType === 1 && !itemElement.hasAttribute('role')) {
+        itemElement.setAttribute('role', 'listitem');
+      }
+      this.elementKeys.set(itemElement, this._getItemKey(item));
+    }
+    return itemElement;
+  }
+
+  /**
+   * List roles are only added when the container has no native list or table semantics
+   */
+  _usesListRoles() {
+    return this.view !== 'table' && !['UL', 'OL', 'TABLE', 'TBODY', 'THEAD', 'TFOOT'].includes(this.container.tagName);
+  }
+
+  /**
+   * Mark an element as the results list
+   */
+  _applyListRole(element) {
+    if (!this._usesListRoles()) return;
+    element.setAttribute('role', 'list');
+    if (this.a11yConfig.label) {
+      element.setAttribute('aria-label', this.a11yConfig.label);
+    }
+  }
+
+  /**
+   * Announce a message through a visually hidden aria-live region
+   */
+  _announce(message) {
+    if (!this.a11yConfig.announce) {
+      return;
+    }
+
+    if (!this.liveRegion || !this.liveRegion.isConnected) {
+      this.liveRegion = document.createElement('div');
+      this.liveRegion.className = 'swi-sr-only';
+      this.liveRegion.setAttribute('role', 'status');
+      this.liveRegion.setAttribute('aria-live', 'polite');
+      this.liveRegion.setAttribute('aria-atomic', 'true');
+      this.container.insertAdjacentElement('afterend', this.liveRegion);
+    }
+
+    // Clear first so repeated messages are announced again
+    this.liveRegion.textContent = '';
+    clearTimeout(this.announceTimeout);
+    this.announceTimeout = setTimeout(() => {
+      if (this.liveRegion) {
+        this.liveRegion.textContent = message;
+      }
+    }, 100);
+  }
+
+  /**
+   * Move focus to the results after a page change
+   */
+  _focusResults() {
+    if (!this.a11yConfig.focusOnPageChange) {
+      return;
+    }
+
+    if (this.a11yConfig.keyboardNavigation) {
+      this.activeItemIndex = 0;
+      const first = this._getItemElements()[0];
+      if (first) {
+        this._setupRovingTabindex();
+        first.focus();
+        return;
+      }
+    }
+
+    if (!this.container.hasAttribute('tabindex')) {
+      this.container.setAttribute('tabindex', '-1');
+    }
+    this.container.focus();
+  }
+
+  /**
+   * Get the rendered item elements
+   */
+  _getItemElements() {
+    if (this.view === 'table') {
+      return this.tableElement && this.container.contains(this.tableElement)
+        ? Array.from(this.tableElement.tBodies[0].children)
+        : [];
+    }
+    if (this.groupConfig.enabled && !this.virtualConfig.enabled) {
+      return Array.from(this.container.querySelectorAll('.swi-group-items:not([hidden]) > *'));
+    }
+
+    const parent = this.virtualState && this.container.contains(this.virtualState.list)
+      ? this.virtualState.list
+      : this.container;
+    return Array.from(parent.children).filter(element => !element.matches('.swi-empty-state, .swi-loading, .swi-error'));
+  }
+
+  /**
+   * Apply roving tabindex to rendered items and bind arrow-key navigation once
+   */
+  _setupRovingTabindex() {
+    if (!this.a11yConfig.keyboardNavigation) {
+      return;
+    }
+
+    const items = this._getItemElements();
+    this.activeItemIndex = Math.min(this.activeItemIndex, Math.max(0, items.length - 1));
+    items.forEach((element, index) => {
+      element.setAttribute('tabindex', index === this.activeItemIndex ? '0' : '-1');
+    });
+
+    if (this.keyboardNavigationBound) {
+      return;
+    }
+
+    const keydownHandler = (e) => {
+      const elements = this._getItemElements();
+      const index = elements.indexOf(e.target);
+      if (index === -1) return;
+
+      let next = null;
+      switch (e.key) {
+        case 'ArrowDown':
+        case 'ArrowRight':
+          next = Math.min(elements.length - 1, index + 1);
+          break;
+        case 'ArrowUp':
+        case 'ArrowLeft':
+          next = Math.max(0, index - 1);
+          break;
+        case 'Home':
+          next = 0;
+          break;
+        case 'End':
+          next = elements.length - 1;
+          break;
+        default:
+          return;
+      }
+
+      e.preventDefault();
+      elements[index].setAttribute('tabindex', '-1');
+      elements[next].setAttribute('tabindex', '0');
+      elements[next].focus();
+      this.activeItemIndex = next;
+    };
+
+    this.container.addEventListener('keydown', keydownHandler);
+    this.eventListeners.push({
+      element: this.container,
+      event: 'keydown',
+      handler: keydownHandler
+    });
+    this.keyboardNavigationBound = true;
+  }
+
+  /**
+   * Get paginated data for current page
+   */
+  _getPaginatedData() {
+    if (!this.paginationConfig.enabled || this.remoteConfig.enabled) {
+      return this.filteredData;
+    }
     
-    // Pagination configuration
-    this.paginationConfig = this._parsePaginationConfig(options.pagination);
+    // Load more and infinite modes show every page loaded so far
+    if (this.paginationConfig.mode !== 'pages') {
+      return this.filteredData.slice(0, this.currentPage * this.paginationConfig.itemsPerPage);
+    }
     
-    // Store event listeners for cleanup
-    this.eventListeners = [];
+    const start = (this.currentPage - 1) * this.paginationConfig.itemsPerPage;
+    const end = start + this.paginationConfig.itemsPerPage;
+    return this.filteredData.slice(start, end);
+  }
 
-    // Initialize
-    this._init();
+  /**
+   * Get the total number of results (server-reported in remote mode)
+   */
+  _getTotalItems() {
+    return this.remoteConfig.enabled ? this.totalItems : this.filteredData.length;
   }
 
   /**
-   * Parse search configuration
+   * Get the total number of pages
    */
-  _parseSearchConfig(search) {
-    if (!search) {
-      return { enabled: false };
+  _getTotalPages() {
+    return Math.ceil(this._getTotalItems() / this.paginationConfig.itemsPerPage);
+  }
+
+  /**
+   * Render pagination controls
+   */
+  _renderPagination() {
+    if (this.paginationConfig.mode !== 'pages') {
+      this._renderLoadMore();
+      return;
+    }
+    
+    const totalPages = this._getTotalPages();
+    const container = this.paginationConfig.containerElement;
+    
+    if (totalPages <= 1) {
+      container.innerHTML = '';
+      return;
+    }
+    
+    container.setAttribute('role', 'navigation');
+    container.setAttribute('aria-label', this._message('pagination'));
+    
+    const jumpFocused = !!document.activeElement && document.activeElement.classList.contains('swi-page-jump')
+      && container.contains(document.activeElement);
+    container.innerHTML = this._getPaginationHTML(totalPages);
+    
+    const jumpInput = container.querySelector('.swi-page-jump');
+    if (jumpInput) {
+      const jumpHandler = (e) => {
+        if (e.type === 'keydown' && e.key !== 'Enter') return;
+        e.preventDefault();
+        const page = Math.min(totalPages, Math.max(1, parseInt(jumpInput.value, 10) || 1));
+        jumpInput.value = page;
+        this.goToPage(page);
+      };
+      
+      ['change', 'keydown'].forEach(event => {
+        jumpInput.addEventListener(event, jumpHandler);
+        this.eventListeners.push({
+          element: jumpInput,
+          event,
+          handler: jumpHandler
+        });
+      });
+      
+      if (jumpFocused) {
+        jumpInput.focus();
+      }
+    }
+    
+    // Add event listeners to pagination buttons
+    const buttons = container.querySelectorAll('.swi-pagination-btn');
+    buttons.forEach(button => {
+      const clickHandler = (e) => {
+        e.preventDefault();
+        const page = parseInt(button.dataset.page);
+        if (page >= 1 && page <= totalPages) {
+          this._whenDone(this.goToPage(page), () => this._focusResults());
+        }
+      };
+      
+      button.addEventListener('click', clickHandler);
+      this.eventListeners.push({
+        element: button,
+        event: 'click',
+        handler: clickHandler
+      });
+    });
+  }
+
+  /**
+   * Build the numbered pagination markup (also used for server-side rendering)
+   */
+  _getPaginationHTML(totalPages) {
+    const isFirst = this.currentPage === 1;
+    const isLast = this.currentPage === totalPages;
+    let paginationHTML = '<ul class="swi-pagination-list">';
+    
+    // First button
+    if (this.paginationConfig.showFirstLast) {
+      paginationHTML += `
+        <li class="swi-pagination-item swi-pagination-first ${isFirst ? 'swi-disabled' : ''}">
+          <button type="button" class="swi-pagination-btn" data-page="1" aria-label="${escapeHTML(this._message('firstPage'))}" ${isFirst ? 'disabled' : ''}>
+            ${escapeHTML(this._message('first'))}
+          </button>
+        </li>
+      `;
+    }
+    
+    // Previous button
+    paginationHTML += `
+      <li class="swi-pagination-item ${isFirst ? 'swi-disabled' : ''}">
+        <button type="button" class="swi-pagination-btn" data-page="${this.currentPage - 1}" aria-label="${escapeHTML(this._message('previousPage'))}" ${isFirst ? 'disabled' : ''}>
+          ${escapeHTML(this._message('previous'))}
+        </button>
+      </li>
+    `;
+    
+    // Page numbers, windowed around the current page
+    this._getPageRange(totalPages).forEach(entry => {
+      if (entry === 'ellipsis') {
+        paginationHTML += `
+          <li class="swi-pagination-item swi-pagination-ellipsis" aria-hidden="true">
+            <span>…</span>
+          </li>
+        `;
+        return;
+      }
+      
+      paginationHTML += `
+        <li class="swi-pagination-item ${entry === this.currentPage ? 'swi-active' : ''}">
+          <button type="button" class="swi-pagination-btn" data-page="${entry}" aria-label="${escapeHTML(this._message('page', { page: entry }))}" ${entry === this.currentPage ? 'aria-current="page"' : ''}>
+            ${entry}
+          </button>
+        </li>
+      `;
+    });
+    
+    // Next button
+    paginationHTML += `
+      <li class="swi-pagination-item ${isLast ? 'swi-disabled' : ''}">
+        <button type="button" class="swi-pagination-btn" data-page="${this.currentPage + 1}" aria-label="${escapeHTML(this._message('nextPage'))}" ${isLast ? 'disabled' : ''}>
+          ${escapeHTML(this._message('next'))}
+        </button>
+      </li>
+    `;
+    
+    // Last button
+    if (this.paginationConfig.showFirstLast) {
+      paginationHTML += `
+        <li class="swi-pagination-item swi-pagination-last ${isLast ? 'swi-disabled' : ''}">
+          <button type="button" class="swi-pagination-btn" data-page="${totalPages}" aria-label="${escapeHTML(this._message('lastPage'))}" ${isLast ? 'disabled' : ''}>
+            ${escapeHTML(this._message('last'))}
+          </button>
+        </li>
+      `;
+    }
+    
+    // Jump to page input
+    if (this.paginationConfig.jumpToPage) {
+      paginationHTML += `
+        <li class="swi-pagination-item swi-pagination-jump">
+          <label>
+            <span>${escapeHTML(this._message('goToPage'))}</span>
+            <input type="number" class="swi-page-jump" min="1" max="${totalPages}" value="${this.currentPage}">
+          </label>
+        </li>
+      `;
     }
+    
+    paginationHTML += '</ul>';
+    
+    return paginationHTML;
+  }
+
+  /**
+   * Get the page numbers to show, with 'ellipsis' markers for skipped ranges
+   * e.g. [1, 'ellipsis', 4, 5, 6, 'ellipsis', 20]
+   */
+  _getPageRange(totalPages) {
+    const { siblings, boundaries } = this.paginationConfig;
+    const pages = new Set();
 
-    if (typeof search === 'boolean') {
-      return { enabled: search };
+    for (let i = 1; i <= Math.min(boundaries, totalPages); i++) pages.add(i);
+    for (let i = Math.max(1, totalPages - boundaries + 1); i <= totalPages; i++) pages.add(i);
+    for (let i = Math.max(1, this.currentPage - siblings); i <= Math.min(totalPages, this.currentPage + siblings); i++) {
+      pages.add(i);
     }
 
+    const sorted = Array.from(pages).sort((a, b) => a - b);
+    const range = [];
+    sorted.forEach((page, index) => {
+      const previous = sorted[index - 1];
+      if (previous !== undefined && page - previous > 1) {
+        // Show a single skipped page instead of an ellipsis
+        range.push(page - previous === 2 ? previous + 1 : 'ellipsis');
+      }
+      range.push(page);
+    });
+    return range;
+  }
+
+  /**
+   * Get pagination details for the current view
+   */
+  getPageInfo() {
+    const total = this._getTotalItems();
+    const pageSize = this.paginationConfig.itemsPerPage;
+    const paginated = this.paginationConfig.enabled;
+    const appending = paginated && this.paginationConfig.mode !== 'pages';
+    const start = total === 0 ? 0 : (paginated && !appending ? (this.currentPage - 1) * pageSize + 1 : 1);
+    const end = paginated ? Math.min(this.currentPage * pageSize, total) : total;
+
     return {
-      enabled: search.enabled !== false,
-      selector: search.selector || null,
-      searchKey: search.searchKey || 'name',
-      inputElement: null,
-      actionElement: null
+      page: this.currentPage,
+      pageSize,
+      totalPages: paginated ? Math.max(1, this._getTotalPages()) : 1,
+      total,
+      start,
+      end
     };
   }
 
   /**
-   * Parse pagination configuration
+   * Change the page size, keeping the first visible item on screen
    */
-  _parsePaginationConfig(pagination) {
-    if (!pagination) {
-      return { enabled: false, itemsPerPage: 10 };
+  setPageSize(size) {
+    const pageSize = parseInt(size, 10);
+    const previousPageSize = this.paginationConfig.itemsPerPage;
+
+    if (!pageSize || pageSize < 1 || pageSize === previousPageSize) {
+      return;
     }
 
-    if (typeof pagination === 'boolean') {
-      return { enabled: pagination, itemsPerPage: 10 };
+    if (this.paginationConfig.mode === 'pages') {
+      const firstIndex = (this.currentPage - 1) * previousPageSize;
+      this.currentPage = Math.floor(firstIndex / pageSize) + 1;
+    } else {
+      // Keep at least as many items loaded as before
+      this.currentPage = Math.max(1, Math.ceil((this.currentPage * previousPageSize) / pageSize));
+    }
+    this.paginationConfig.itemsPerPage = pageSize;
+
+    const select = this.paginationConfig.pageSizeSelect;
+    if (select) {
+      if (!Array.from(select.options).some(option => option.value === String(pageSize))) {
+        select.appendChild(new Option(String(pageSize), String(pageSize)));
+      }
+      select.value = String(pageSize);
+    }
+
+    const result = this.remoteConfig.enabled ? this._fetchAndRender() : this.render();
+    return this._whenDone(result, (current) => {
+      if (current === false) return;
+      this._emit('pagesizechange', { pageSize, previousPageSize, page: this.currentPage });
+    });
+  }
+
+  /**
+   * Update the results summary element
+   */
+  _renderSummary() {
+    const config = this.summaryConfig;
+    if (!config.enabled) {
+      return;
+    }
+
+    if (!config.element && config.selector) {
+      config.element = document.querySelector(config.selector);
+    }
+    if (!config.element) {
+      return;
     }
 
-    return {
-      enabled: pagination.enabled !== false,
-      selector: pagination.selector || null,
-      itemsPerPage: pagination.itemsPerPage || 10,
-      containerElement: null
-    };
+    config.element.classList.add('swi-summary');
+    config.element.textContent = this._getSummaryText(this.getPageInfo());
   }
 
   /**
-   * Utility: Debounce function to limit execution rate
+   * Format the results summary text for page info
    */
-  _debounce(func, wait = 300) {
-    let timeout;
-    return (...args) => {
-      clearTimeout(timeout);
-      timeout = setTimeout(() => func.apply(this, args), wait);
-    };
+  _getSummaryText(info) {
+    const config = this.summaryConfig;
+    if (typeof config.format === 'function') {
+      return config.format(info);
+    }
+    if (info.total === 0) {
+      return this._message('summaryEmpty', info);
+    }
+    return this._formatMessage(config.format || this.messages.summary, info);
   }
 
   /**
-   * Show loading state
+   * Render the load more button or infinite scroll sentinel
    */
-  showLoading() {
-    this.container.innerHTML = `
-      <div class="swi-loading">
-        <div class="swi-spinner"></div>
-        <p>Loading data...</p>
+  _renderLoadMore() {
+    const element = this.paginationConfig.containerElement;
+    const total = this._getTotalItems();
+    const shown = Math.min(this.currentPage * this.paginationConfig.itemsPerPage, total);
+
+    if (this.scrollObserver) {
+      this.scrollObserver.disconnect();
+      this.scrollObserver = null;
+    }
+
+    if (!this._hasMore()) {
+      element.innerHTML = '';
+      return;
+    }
+
+    // Fall back to a button where IntersectionObserver is unavailable
+    const infinite = this.paginationConfig.mode === 'infinite' && typeof IntersectionObserver !== 'undefined';
+
+    element.innerHTML = `
+      <div class="swi-load-more-container">
+        ${infinite
+          ? '<div class="swi-sentinel"><div class="swi-spinner"></div></div>'
+          : `<button type="button" class="swi-load-more">${escapeHTML(this._message('loadMore'))}</button>`}
+        <p class="swi-load-more-status">${escapeHTML(this._message('showing', { shown, total }))}</p>
       </div>
     `;
-  }
 
-  /**
-   * Hide loading state
-   */
-  hideLoading() {
-    const loading = this.container.querySelector('.swi-loading');
-    if (loading) {
-      loading.remove();
+    if (infinite) {
+      this.scrollObserver = new IntersectionObserver((entries) => {
+        if (entries.some(entry => entry.isIntersecting)) {
+          this.loadMore();
+        }
+      }, { rootMargin: '200px' });
+      this.scrollObserver.observe(element.querySelector('.swi-sentinel'));
+      return;
     }
+
+    const button = element.querySelector('.swi-load-more');
+    const clickHandler = (e) => {
+      e.preventDefault();
+      this.loadMore();
+    };
+
+    button.addEventListener('click', clickHandler);
+    this.eventListeners.push({
+      element: button,
+      event: 'click',
+      handler: clickHandler
+    });
   }
 
   /**
-   * Show error state
+   * Check whether more pages can be loaded
    */
-  showError(message, details = '') {
-    this.container.innerHTML = `
-      <div class="swi-error">
-        <div class="swi-error-icon">⚠️</div>
-        <h3>${message}</h3>
-        ${details ? `<p class="swi-error-details">${details}</p>` : ''}
-        <button class="swi-error-retry" onclick="location.reload()">Retry</button>
-      </div>
-    `;
+  _hasMore() {
+    return this.currentPage < this._getTotalPages();
   }
 
   /**
-   * Initialize the library
+   * Append the next page (load more and infinite modes)
    */
-  async _init() {
+  async loadMore() {
+    if (this.isLoadingMore || !this._hasMore()) {
+      return;
+    }
+
+    const element = this.paginationConfig.containerElement;
+    const previousPage = this.currentPage;
+    const previousCount = this._getPaginatedData().length;
+    const page = previousPage + 1;
+
+    this.isLoadingMore = true;
+    this.currentPage = page;
+    if (element) element.classList.add('swi-loading-more');
+
     try {
-      // Show loading state
-      this.showLoading();
-      
-      // Load data
-      await this._loadData();
-      
-      // Hide loading state
-      this.hideLoading();
-      
-      // Setup search if enabled
-      if (this.searchConfig.enabled && this.searchConfig.selector) {
-        this._setupSearch();
+      if (this.remoteConfig.enabled) {
+        const loaded = await this._loadRemote(true);
+        // A newer search or page change took over
+        if (!loaded) return;
+        this._updateFilteredData();
       }
-      
-      // Setup pagination if enabled
-      if (this.paginationConfig.enabled && this.paginationConfig.selector) {
-        this.paginationConfig.containerElement = document.querySelector(this.paginationConfig.selector);
+
+      if (this.groupConfig.enabled) {
+        // Appended items may belong to a group already on screen
+        this.render();
+      } else {
+        this._appendItems(this._getPaginatedData().slice(previousCount));
       }
-      
-      // Initial render
-      this.render();
+
+      if (element) {
+        this._renderPagination();
+      }
+      this._renderSummary();
+      this._writeUrlState();
+      const info = this.getPageInfo();
+      this._announce(this._message('showing', { shown: info.end, total: info.total }));
+      this._emit('pagechange', { page, previousPage });
     } catch (error) {
-      console.error('SWI: Initialization failed', error);
-      this.showError('Failed to load data', error.message);
-      throw error;
+      if (this.currentPage === page) {
+        this.currentPage = previousPage;
+      }
+      this._emit('error', { error });
+    } finally {
+      this.isLoadingMore = false;
+      if (element) element.classList.remove('swi-loading-more');
     }
   }
 
   /**
-   * Load data from source
+   * Append items without clearing the container
    */
-  async _loadData() {
-    if (Array.isArray(this.dataSource)) {
-      // Validate array data
-      if (this.dataSource.length > 0 && typeof this.dataSource[0] !== 'object') {
-        throw new Error('SWI: Data items must be objects');
+  _appendItems(items) {
+    const hook = this._runHook('beforeRender', items);
+    if (hook.cancelled || !this._emit('beforerender', { items: hook.value, append: true }, true)) {
+      return;
+    }
+
+    const parent = this.view === 'table' ? this._getTableBody() : this.container;
+    hook.value.forEach(item => {
+      const element = this._createItemElement(item);
+      const key = this._getItemKey(item);
+      if (!this.itemNodes.has(key)) {
+        this.itemNodes.set(key, { item, element, query: this.searchQuery });
       }
-      this.data = this.dataSource;
-      this.filteredData = [...this.data];
-    } else if (typeof this.dataSource === 'string') {
-      try {
-        const response = await fetch(this.dataSource);
-        
-        if (!response.ok) {
-          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-        }
-        
-        const data = await response.json();
-        
-        // Validate that data is an array
-        if (!Array.isArray(data)) {
-          throw new Error('Data must be an array of objects');
-        }
-        
-        // Validate data structure
-        if (data.length > 0 && typeof data[0] !== 'object') {
-          throw new Error('Data items must be objects');
-        }
-        
-        this.data = data;
-        this.filteredData = [...this.data];
-      } catch (error) {
-        console.error('SWI: Failed to load data', error);
-        throw error;
+      if (element) {
+        parent.appendChild(element);
       }
-    }
+    });
+    this._setupRovingTabindex();
+    this._syncSelection();
+
+    this._emit('render', { items: hook.value, page: this.currentPage, append: true });
   }
 
   /**
-   * Setup search functionality
+   * Navigate to a specific page
    */
-  _setupSearch() {
-    const searchContainer = document.querySelector(this.searchConfig.selector);
-    if (!searchContainer) return;
-
-    this.searchConfig.inputElement = searchContainer.querySelector('input[type="text"]');
+  goToPage(pageNumber) {
+    const totalPages = this._getTotalPages();
     
-    if (this.searchConfig.inputElement) {
-      // Use debounced search handler
-      const searchHandler = this._debounce((e) => {
-        this.search(e.target.value);
-      }, 300);
-      
-      this.searchConfig.inputElement.addEventListener('input', searchHandler);
-      this.eventListeners.push({
-        element: this.searchConfig.inputElement,
-        event: 'input',
-        handler: searchHandler
-      });
+    if (pageNumber < 1 || pageNumber > totalPages) {
+      return;
     }
+    
+    const previousPage = this.currentPage;
+    this.currentPage = pageNumber;
+
+    const result = this.remoteConfig.enabled ? this._fetchAndRender() : this.render();
+    return this._whenDone(result, (current) => {
+      if (current === false) return;
+      this._announce(this._message('pageOf', { page: this.currentPage, totalPages: this._getTotalPages() }));
+      this._emit('pagechange', { page: this.currentPage, previousPage });
+    });
   }
 
   /**
-   * Perform search - supports single or multiple fields
+   * Create DOM element from a template result: an HTML string, an `html` result or a DOM node
+   * Plain strings pass through the sanitizer when one is configured.
    */
-  search(query) {
-    // Support both string and array of search keys
-    const searchKeys = Array.isArray(this.searchConfig.searchKey) 
-      ? this.searchConfig.searchKey 
-      : [this.searchConfig.searchKey];
-    
-    if (!query || query.trim() === '') {
-      this.filteredData = [...this.data];
-    } else {
-      const lowerQuery = query.toLowerCase();
-      this.filteredData = this.data.filter(item => {
-        // Search across all specified fields
-        return searchKeys.some(key => {
-          const value = item[key];
-          return value && value.toString().toLowerCase().includes(lowerQuery);
-        });
-      });
+  _createElementFromHTML(content) {
+    if (typeof Node !== 'undefined' && content instanceof Node) {
+      // Use the first element of a fragment
+      return content.nodeType === 11 ? (content.firstElementChild || content.firstChild) : content;
     }
-    
-    this.currentPage = 1;
-    this.render();
+
+    let htmlString = content === undefined || content === null ? '' : String(content);
+    if (this.sanitizer && !(content instanceof SWISafeHTML)) {
+      const sanitized = this.sanitizer(htmlString);
+      if (typeof Node !== 'undefined' && sanitized instanceof Node) {
+        return this._createElementFromHTML(sanitized);
+      }
+      htmlString = String(sanitized);
+    }
+
+    const template = document.createElement('template');
+    template.innerHTML = htmlString.trim();
+    return template.content.firstChild;
   }
 
   /**
-   * Render the data
+   * Destroy the instance and cleanup
    */
-  render() {
-    // Clear container
-    this.container.innerHTML = '';
+  destroy() {
+    // Cancel pending remote requests
+    if (this.remoteController) {
+      this.remoteController.abort();
+      this.remoteController = null;
+    }
+
+    // Remove event listeners
+    this.eventListeners.forEach(({ element, event, handler }) => {
+      element.removeEventListener(event, handler);
+    });
     
-    // Get paginated data
-    const paginatedData = this._getPaginatedData();
+    // Clear container
+    if (this.container) {
+      this.container.innerHTML = '';
+    }
     
-    // Show empty state if no data
-    if (paginatedData.length === 0) {
-      const message = this.data.length === 0 
-        ? 'No data available' 
-        : 'No results found. Try a different search term.';
-      
-      this.container.innerHTML = `
-        <div class="swi-empty-state">
-          <div class="swi-empty-icon">📭</div>
-          <h3>No Results</h3>
-          <p>${message}</p>
-        </div>
-      `;
-      
-      // Clear pagination
-      if (this.paginationConfig.enabled && this.paginationConfig.containerElement) {
-        this.paginationConfig.containerElement.innerHTML = '';
+    // Clear pagination
+    if (this.paginationConfig.containerElement) {
+      this.paginationConfig.containerElement.innerHTML = '';
+      if (this.paginationConfig.createdElement) {
+        this.paginationConfig.containerElement.remove();
       }
-      
-      return;
     }
     
-    // Render items
-    paginatedData.forEach(item => {
-      const itemHTML = this.itemTemplate(item);
-      const itemElement = this._createElementFromHTML(itemHTML);
-      this.container.appendChild(itemElement);
-    });
+    // Remove generated page size selector
+    if (this.paginationConfig.createdPageSizeElement && this.paginationConfig.pageSizeElement) {
+      this.paginationConfig.pageSizeElement.remove();
+    }
     
-    // Render pagination
-    if (this.paginationConfig.enabled && this.paginationConfig.containerElement) {
-      this._renderPagination();
+    // Remove the live region
+    if (this.liveRegion) {
+      clearTimeout(this.announceTimeout);
+      this.liveRegion.remove();
+      this.liveRegion = null;
+    }
+    
+    // Stop virtual scrolling
+    if (this.virtualState) {
+      if (this.virtualState.frame) cancelAnimationFrame(this.virtualState.frame);
+      this.container.classList.remove('swi-virtual');
+      this.container.style.height = '';
+      this.container.style.overflowY = '';
+      this.virtualState = null;
     }
+    
+    // Stop the search worker
+    if (this.searchWorker) {
+      this._terminateSearchWorker();
+    }
+    
+    // Stop infinite scrolling
+    if (this.scrollObserver) {
+      this.scrollObserver.disconnect();
+      this.scrollObserver = null;
+    }
+    
+    this.groupSections.clear();
+    
+    // Clear references
+    this.data = [];
+    this.filteredData = [];
+    this.itemNodes.clear();
+    this.selection.clear();
+    this.eventListeners = [];
+    this.destroyed = true;
+    this.eventHandlers.clear();
   }
+}
+
+/**
+ * Declarative Initialization Handler
+ * Automatically initializes SWI instances from HTML attributes
+ */
+class SWIDeclarativeHandler {
+  static instances = new Map();
+
+  // Set to false before the DOM is ready (or right after importing) to call init() yourself
+  static autoInit = true;
+
+  // Set to true (or window.SWI_OBSERVE = true) to also initialize containers added
+  // later and destroy those removed, e.g. by a client-side router
+  static observeMutations = false;
+
+  static observer = null;
+
+  // Original markup of each initialized container, restored before re-initializing
+  static snapshots = new WeakMap();
 
   /**
-   * Get paginated data for current page
+   * Built-in value formatters for data-swi-format (extend by adding functions)
    */
-  _getPaginatedData() {
-    if (!this.paginationConfig.enabled) {
-      return this.filteredData;
+  static formatters = {
+    currency: (value, currency = 'USD') => {
+      const number = parseFloat(value);
+      if (isNaN(number)) return value;
+      return new Intl.NumberFormat(SWIDeclarativeHandler.getLocale(), { style: 'currency', currency }).format(number);
+    },
+    number: (value, digits) => {
+      const number = parseFloat(value);
+      if (isNaN(number)) return value;
+      const fraction = digits !== undefined ? { minimumFractionDigits: +digits, maximumFractionDigits: +digits } : {};
+      return new Intl.NumberFormat(SWIDeclarativeHandler.getLocale(), fraction).format(number);
+    },
+    date: (value, style = 'medium') => {
+      const date = value instanceof Date ? value : new Date(value);
+      if (isNaN(date.getTime())) return value;
+      return new Intl.DateTimeFormat(SWIDeclarativeHandler.getLocale(), { dateStyle: style }).format(date);
+    },
+    truncate: (value, length = 100) => {
+      const text = String(value);
+      const max = parseInt(length, 10);
+      return text.length > max ? `${text.slice(0, max).trimEnd()}…` : text;
+    },
+    uppercase: (value) => String(value).toUpperCase(),
+    lowercase: (value) => String(value).toLowerCase(),
+    join: (value, separator = ', ') => (Array.isArray(value) ? value.join(separator) : value)
+  };
+
+  /**
+   * Initialize declarative SWI instances in the DOM, or only within root
+   * Containers that already have an instance are skipped. Returns the new instances.
+   */
+  static init(root = document) {
+    const containers = Array.from(root.querySelectorAll('[data-swi-id]'));
+    if (root.nodeType === 1 && root.matches('[data-swi-id]')) {
+      containers.unshift(root);
     }
     
-    const start = (this.currentPage - 1) * this.paginationConfig.itemsPerPage;
-    const end = start + this.paginationConfig.itemsPerPage;
-    return this.filteredData.slice(start, end);
+    return containers
+      .filter(container => !SWIDeclarativeHandler.findId(container))
+      .map(container => SWIDeclarativeHandler.initContainer(container))
+      .filter(Boolean);
   }
 
   /**
-   * Render pagination controls
+   * Create and register the instance for one container
    */
-  _renderPagination() {
-    const totalPages = Math.ceil(this.filteredData.length / this.paginationConfig.itemsPerPage);
-    
-    if (totalPages <= 1) {
-      this.paginationConfig.containerElement.innerHTML = '';
-      return;
-    }
-    
-    let paginationHTML = '<ul class="swi-pagination-list">';
-    
-    // Previous button
-    paginationHTML += `
-      <li class="swi-pagination-item ${this.currentPage === 1 ? 'swi-disabled' : ''}">
-        <button class="swi-pagination-btn" data-page="${this.currentPage - 1}" ${this.currentPage === 1 ? 'disabled' : ''}>
-          Previous
-        </button>
-      </li>
-    `;
-    
-    // Page numbers
-    for (let i = 1; i <= totalPages; i++) {
-      paginationHTML += `
-        <li class="swi-pagination-item ${i === this.currentPage ? 'swi-active' : ''}">
-          <button class="swi-pagination-btn" data-page="${i}">
-            ${i}
-          </button>
-        </li>
-      `;
-    }
-    
-    // Next button
-    paginationHTML += `
-      <li class="swi-pagination-item ${this.currentPage === totalPages ? 'swi-disabled' : ''}">
-        <button class="swi-pagination-btn" data-page="${this.currentPage + 1}" ${this.currentPage === totalPages ? 'disabled' : ''}>
-          Next
-        </button>
-      </li>
-    `;
-    
-    paginationHTML += '</ul>';
-    
-    this.paginationConfig.containerElement.innerHTML = paginationHTML;
-    
-    // Add event listeners to pagination buttons
-    const buttons = this.paginationConfig.containerElement.querySelectorAll('.swi-pagination-btn');
-    buttons.forEach(button => {
-      const clickHandler = (e) => {
-        e.preventDefault();
-        const page = parseInt(button.dataset.page);
-        if (page >= 1 && page <= totalPages) {
-          this.goToPage(page);
-        }
-      };
+  static initContainer(container) {
+    try {
+      // Rendering replaces the template, so keep the original markup and restore it
+      // when a container is initialized again (after a source change, or re-attached)
+      if (SWIDeclarativeHandler.snapshots.has(container)) {
+        container.innerHTML = SWIDeclarativeHandler.snapshots.get(container);
+      }
+      const markup = container.innerHTML;
       
-      button.addEventListener('click', clickHandler);
-      this.eventListeners.push({
-        element: button,
-        event: 'click',
-        handler: clickHandler
-      });
-    });
+      const instance = SWIDeclarativeHandler.createInstance(container);
+      if (instance) {
+        SWIDeclarativeHandler.snapshots.set(container, markup);
+        const id = container.getAttribute('data-swi-id');
+        SWIDeclarativeHandler.instances.set(id, instance);
+      }
+      return instance;
+    } catch (error) {
+      console.error('SWI: Failed to initialize declarative instance', error);
+      return null;
+    }
   }
 
   /**
-   * Navigate to a specific page
+   * Destroy a container's instance and initialize it again from its original markup
    */
-  goToPage(pageNumber) {
-    const totalPages = Math.ceil(this.filteredData.length / this.paginationConfig.itemsPerPage);
-    
-    if (pageNumber < 1 || pageNumber > totalPages) {
-      return;
+  static reinit(container) {
+    const id = SWIDeclarativeHandler.findId(container);
+    if (id) {
+      SWIDeclarativeHandler.destroy(id);
     }
-    
-    this.currentPage = pageNumber;
-    this.render();
+    return SWIDeclarativeHandler.initContainer(container);
   }
 
   /**
-   * Create DOM element from HTML string
+   * Find the id an instance was registered under for a container
    */
-  _createElementFromHTML(htmlString) {
-    const template = document.createElement('template');
-    template.innerHTML = htmlString.trim();
-    return template.content.firstChild;
+  static findId(container) {
+    for (const [id, instance] of SWIDeclarativeHandler.instances) {
+      if (instance.rootElement === container) {
+        return id;
+      }
+    }
+    return null;
   }
 
   /**
-   * Destroy the instance and cleanup
+   * Watch root for containers being added, removed or given a new data-swi-source
    */
-  destroy() {
-    // Remove event listeners
-    this.eventListeners.forEach(({ element, event, handler }) => {
-      element.removeEventListener(event, handler);
-    });
-    
-    // Clear container
-    if (this.container) {
-      this.container.innerHTML = '';
-    }
-    
-    // Clear pagination
-    if (this.paginationConfig.containerElement) {
-      this.paginationConfig.containerElement.innerHTML = '';
+  static observe(root = document.body) {
+    if (typeof MutationObserver === 'undefined') {
+      return null;
     }
     
-    // Clear references
-    this.data = [];
-    this.filteredData = [];
-    this.eventListeners = [];
+    SWIDeclarativeHandler.disconnect();
+    SWIDeclarativeHandler.observer = new MutationObserver(records => SWIDeclarativeHandler.handleMutations(records));
+    SWIDeclarativeHandler.observer.observe(root, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: ['data-swi-source']
+    });
+    return SWIDeclarativeHandler.observer;
   }
-}
 
-/**
- * Declarative Initialization Handler
- * Automatically initializes SWI instances from HTML attributes
- */
-class SWIDeclarativeHandler {
-  static instances = new Map();
+  /**
+   * Stop watching for container changes
+   */
+  static disconnect() {
+    if (SWIDeclarativeHandler.observer) {
+      SWIDeclarativeHandler.observer.disconnect();
+      SWIDeclarativeHandler.observer = null;
+    }
+  }
 
   /**
-   * Initialize all declarative SWI instances in the DOM
+   * Apply a batch of DOM mutations: tear down, re-initialize, then initialize
    */
-  static init() {
-    const containers = document.querySelectorAll('[data-swi-id]');
+  static handleMutations(records) {
+    const addedNodes = [];
+    const sourceChanges = new Set();
+    let removed = false;
     
-    containers.forEach(container => {
-      try {
-        const instance = SWIDeclarativeHandler.createInstance(container);
-        if (instance) {
-          const id = container.getAttribute('data-swi-id');
-          SWIDeclarativeHandler.instances.set(id, instance);
+    records.forEach(record => {
+      if (record.type === 'attributes') {
+        sourceChanges.add(record.target);
+        return;
+      }
+      removed = removed || record.removedNodes.length > 0;
+      record.addedNodes.forEach(node => {
+        if (node.nodeType === 1) {
+          addedNodes.push(node);
         }
-      } catch (error) {
-        console.error('SWI: Failed to initialize declarative instance', error);
+      });
+    });
+    
+    // Nodes moved within the document show up as removed and added, so check
+    // whether each container is still connected rather than trusting the records
+    if (removed) {
+      Array.from(SWIDeclarativeHandler.instances).forEach(([id, instance]) => {
+        if (instance.rootElement && !instance.rootElement.isConnected) {
+          SWIDeclarativeHandler.destroy(id);
+        }
+      });
+    }
+    
+    sourceChanges.forEach(container => {
+      if (container.isConnected && container.matches('[data-swi-id]')) {
+        SWIDeclarativeHandler.reinit(container);
+      }
+    });
+    
+    addedNodes.forEach(node => {
+      if (node.isConnected) {
+        SWIDeclarativeHandler.init(node);
       }
     });
   }
@@ -463,19 +6270,29 @@ class SWIDeclarativeHandler {
    */
   static createInstance(container) {
     const id = container.getAttribute('data-swi-id');
-    const source = container.getAttribute('data-swi-source');
+    // data-swi-source may be a URL or "#id" of a script element; an inline
+    // <script type="application/json"> inside the container also works
+    const source = container.getAttribute('data-swi-source')
+      || container.querySelector('script[type="application/json"], script[data-swi-data]');
     
     if (!id || !source) {
-      console.warn('SWI: data-swi-id and data-swi-source are required');
+      console.warn('SWI: data-swi-id and data-swi-source (or an inline JSON script) are required');
       return null;
     }
 
     // Get configuration from attributes
     const pageSize = parseInt(container.getAttribute('data-swi-page-size')) || 10;
-    const searchKey = container.getAttribute('data-swi-search-key') || 'name';
+    const searchMode = container.getAttribute('data-swi-search-mode') || 'contains';
+    const searchWeights = SWIDeclarativeHandler.parseWeights(container.getAttribute('data-swi-search-weights'));
+    const searchKeyAttribute = container.getAttribute('data-swi-search-key');
+    const searchKey = searchKeyAttribute
+      ? searchKeyAttribute.split(',').map(key => key.trim()).filter(Boolean)
+      : (Object.keys(searchWeights).length > 0 ? Object.keys(searchWeights) : 'name');
     
-    // Find template element
-    const templateElement = container.querySelector('[data-swi-template="item"]');
+    // Find template element (a table-only instance can use its data-swi-columns element instead)
+    const itemTemplateElement = container.querySelector('[data-swi-template="item"]');
+    const columnsElement = container.querySelector('[data-swi-columns]');
+    const templateElement = itemTemplateElement || columnsElement;
     if (!templateElement) {
       console.warn('SWI: data-swi-template="item" element not found');
       return null;
@@ -488,8 +6305,33 @@ class SWIDeclarativeHandler {
     const searchInput = container.querySelector('[data-swi-search-input]');
     const searchAction = container.querySelector('[data-swi-search-action]');
     
-    // Find pagination container
+    // Find results summary and page size options
+    const summaryElement = container.querySelector('[data-swi-summary]');
+    const pageSizesAttribute = container.getAttribute('data-swi-page-sizes');
+    const pageSizes = pageSizesAttribute
+      ? pageSizesAttribute.split(',').map(size => parseInt(size, 10)).filter(size => size > 0)
+      : null;
+    
+    // Find pagination container and mode
     const paginationContainer = container.querySelector('[data-swi-pagination]');
+    const paginationMode = container.getAttribute('data-swi-pagination-mode')
+      || (paginationContainer && paginationContainer.getAttribute('data-swi-pagination-mode'))
+      || 'pages';
+    
+    // Find facet controls
+    const facets = Array.from(container.querySelectorAll('[data-swi-facet]')).map(element => ({
+      key: element.getAttribute('data-swi-facet'),
+      type: element.getAttribute('data-swi-facet-type') || 'checkbox',
+      sort: element.getAttribute('data-swi-facet-sort') || 'count',
+      element
+    }));
+    const facetClearElements = Array.from(container.querySelectorAll('[data-swi-facet-clear]'));
+    const exportElements = Array.from(container.querySelectorAll('[data-swi-export]'));
+    const messagesAttribute = container.getAttribute('data-swi-messages');
+    
+    // Find sort controls
+    const sortSelect = container.querySelector('select[data-swi-sort-select]');
+    const sortKeyElements = Array.from(container.querySelectorAll('[data-swi-sort-key]'));
     
     // Create a wrapper for items if template is direct child
     let renderContainer = itemContainer;
@@ -504,25 +6346,158 @@ class SWIDeclarativeHandler {
     templateElement.style.display = 'none';
     
     // Create item template function
-    const itemTemplate = SWIDeclarativeHandler.createTemplateFunction(templateElement);
+    const templateOptions = { highlight: container.hasAttribute('data-swi-highlight') };
+    const itemTemplate = itemTemplateElement
+      ? SWIDeclarativeHandler.createTemplateFunction(itemTemplateElement, templateOptions)
+      : null;
+    
+    // Layouts: data-swi-template="grid" / "list" variants and data-swi-columns for the table view
+    const viewTemplates = {};
+    container.querySelectorAll('[data-swi-template]').forEach(element => {
+      const view = element.getAttribute('data-swi-template');
+      if (!['item', 'group', 'loading', 'empty', 'error'].includes(view)) {
+        element.style.display = 'none';
+        viewTemplates[view] = SWIDeclarativeHandler.createTemplateFunction(element, templateOptions);
+      }
+    });
+    if (columnsElement) {
+      columnsElement.hidden = true;
+    }
+    const viewToggles = Array.from(container.querySelectorAll('[data-swi-view-toggle]'));
+    
+    // Optional state templates: data-swi-template="loading" / "empty" / "error"
+    const stateTemplates = {};
+    ['loading', 'empty', 'error'].forEach(state => {
+      const element = container.querySelector(`[data-swi-template="${state}"]`);
+      if (element) {
+        element.style.display = 'none';
+        stateTemplates[state] = SWIDeclarativeHandler.createStateTemplateFunction(element);
+      }
+    });
+    const autoRetry = container.getAttribute('data-swi-auto-retry');
+    
+    // Optional group header template: data-swi-template="group"
+    const groupTemplateElement = container.querySelector('[data-swi-template="group"]');
+    if (groupTemplateElement) {
+      groupTemplateElement.style.display = 'none';
+    }
+    const groupByAttribute = container.getAttribute('data-swi-group-by');
+    const groupOrder = container.getAttribute('data-swi-group-order') || 'asc';
+    const groupCollapsed = container.getAttribute('data-swi-group-collapsed');
+    
+    // Selection: data-swi-selection="multiple|single" or [data-swi-select] controls in the template
+    const selectionMode = container.getAttribute('data-swi-selection');
+    const hasSelectControls = !!(templateElement && templateElement.querySelector('[data-swi-select]'));
     
     // Create instance configuration
     const config = {
+      root: container,
       container: renderContainer,
       data: source,
       itemTemplate: itemTemplate,
+      columns: columnsElement ? SWIDeclarativeHandler.parseColumns(columnsElement) : null,
+      view: container.getAttribute('data-swi-view') || null,
+      viewTemplates: viewTemplates,
+      viewToggles: viewToggles,
+      loading: container.getAttribute('data-swi-loading') || null,
+      loadingTemplate: stateTemplates.loading || null,
+      emptyTemplate: stateTemplates.empty || null,
+      errorTemplate: stateTemplates.error || null,
+      retry: autoRetry === null ? null : (autoRetry === '' ? true : parseInt(autoRetry, 10) || 0),
       pagination: {
-        enabled: !!paginationContainer,
+        enabled: !!paginationContainer || paginationMode !== 'pages',
         selector: paginationContainer ? `#${paginationContainer.id || 'swi-pagination-' + id}` : null,
-        itemsPerPage: pageSize
+        itemsPerPage: pageSize,
+        mode: paginationMode,
+        jumpToPage: container.hasAttribute('data-swi-page-jump'),
+        pageSizes: pageSizes,
+        pageSizeElement: container.querySelector('[data-swi-page-size-select]')
+      },
+      idKey: container.getAttribute('data-swi-id-key') || null,
+      hydrate: container.hasAttribute('data-swi-hydrate'),
+      // UI language: data-swi-locale, else the document language
+      locale: container.getAttribute('data-swi-locale') || SWIDeclarativeHandler.getLocale() || null,
+      messages: messagesAttribute ? SWIDeclarativeHandler.parseMessages(messagesAttribute) : null,
+      selection: selectionMode !== null || hasSelectControls
+        ? {
+          mode: selectionMode || 'multiple',
+          selectOnClick: container.hasAttribute('data-swi-select-on-click'),
+          selectAll: container.querySelector('[data-swi-select-all]'),
+          count: container.querySelector('[data-swi-selection-count]')
+        }
+        : null,
+      groupBy: groupByAttribute
+        ? {
+          key: groupByAttribute,
+          order: ['asc', 'desc', 'count', 'none'].includes(groupOrder)
+            ? groupOrder
+            : groupOrder.split(',').map(key => key.trim()),
+          collapsible: container.getAttribute('data-swi-group-collapsible') !== 'false',
+          // Empty attribute collapses all groups, otherwise a comma-separated list
+          collapsed: groupCollapsed === null ? [] : (groupCollapsed === '' ? true : groupCollapsed.split(',').map(key => key.trim()))
+        }
+        : null,
+      groupTemplate: groupTemplateElement ? SWIDeclarativeHandler.createGroupTemplateFunction(groupTemplateElement) : null,
+      format: container.getAttribute('data-swi-source-format') || 'auto',
+      cache: container.hasAttribute('data-swi-cache')
+        ? {
+          // Value is the TTL in seconds
+          ttl: container.getAttribute('data-swi-cache') ? parseFloat(container.getAttribute('data-swi-cache')) * 1000 : undefined,
+          version: container.getAttribute('data-swi-cache-version') || undefined
+        }
+        : null,
+      dataPath: container.getAttribute('data-swi-data-path') || null,
+      csv: container.hasAttribute('data-swi-csv-delimiter')
+        ? { delimiter: container.getAttribute('data-swi-csv-delimiter') }
+        : {},
+      sanitize: container.hasAttribute('data-swi-sanitize'),
+      a11y: {
+        keyboardNavigation: container.hasAttribute('data-swi-keyboard-nav'),
+        label: container.getAttribute('data-swi-label') || null
       },
+      summary: summaryElement
+        ? { element: summaryElement, format: summaryElement.getAttribute('data-swi-summary') || null }
+        : null,
       search: {
         enabled: !!searchInput,
         selector: searchInput ? null : null,
         searchKey: searchKey,
+        mode: searchMode,
+        worker: container.hasAttribute('data-swi-search-worker')
+          ? { minItems: parseInt(container.getAttribute('data-swi-search-worker'), 10) || 0 }
+          : null,
+        weights: searchWeights,
+        syntax: container.hasAttribute('data-swi-search-syntax'),
+        ignoreDiacritics: !container.hasAttribute('data-swi-match-diacritics'),
         inputElement: searchInput,
         actionElement: searchAction
-      }
+      },
+      sort: {
+        by: container.getAttribute('data-swi-sort') || null,
+        locale: container.getAttribute('data-swi-sort-locale') || undefined,
+        selectElement: sortSelect,
+        keyElements: sortKeyElements
+      },
+      facets: facets,
+      facetClearElements: facetClearElements,
+      exportElements: exportElements,
+      exportName: id,
+      virtual: container.hasAttribute('data-swi-virtual')
+        ? {
+          itemHeight: container.getAttribute('data-swi-virtual') || null,
+          height: container.getAttribute('data-swi-virtual-height') || undefined
+        }
+        : null,
+      urlSync: container.hasAttribute('data-swi-url-sync')
+        ? { mode: container.getAttribute('data-swi-url-sync') || 'query', prefix: id }
+        : null,
+      remote: container.hasAttribute('data-swi-remote')
+        ? {
+          params: SWIDeclarativeHandler.parsePairs(container.getAttribute('data-swi-remote-params')),
+          itemsPath: container.getAttribute('data-swi-remote-items'),
+          totalPath: container.getAttribute('data-swi-remote-total')
+        }
+        : null
     };
     
     // Assign ID to pagination container if it doesn't have one
@@ -535,35 +6510,278 @@ class SWIDeclarativeHandler {
     return new SWIDeclarativeInstance(config);
   }
 
+  /**
+   * Read export options from a data-swi-export button
+   * data-swi-export="csv|json|ndjson", -export-scope, -export-fields (comma-separated
+   * paths, optionally "Label:path"), -export-filename and -export-to ("download" or "clipboard")
+   */
+  static parseExportOptions(element, name) {
+    const format = element.getAttribute('data-swi-export') || 'csv';
+    const exporter = SenangWebsIndex.exportFormats[format];
+    const fieldsAttribute = element.getAttribute('data-swi-export-fields');
+
+    return {
+      format,
+      scope: element.getAttribute('data-swi-export-scope') || 'filtered',
+      fields: fieldsAttribute
+        ? fieldsAttribute.split(',').map(field => field.trim()).filter(Boolean).map(field => {
+          const separator = field.indexOf(':');
+          return separator === -1
+            ? field
+            : { label: field.slice(0, separator).trim(), key: field.slice(separator + 1).trim() };
+        })
+        : null,
+      to: element.getAttribute('data-swi-export-to') || 'download',
+      filename: element.getAttribute('data-swi-export-filename')
+        || `${name}.${exporter ? exporter.extension : format}`
+    };
+  }
+
+  /**
+   * Read table columns from [data-swi-column] elements inside a data-swi-columns element
+   * The element text is the header; data-swi-format, -width, -align and -sortable configure the column.
+   */
+  static parseColumns(element) {
+    return Array.from(element.querySelectorAll('[data-swi-column]')).map(column => {
+      const key = column.getAttribute('data-swi-column');
+      const format = column.getAttribute('data-swi-format');
+
+      return {
+        key,
+        header: column.textContent.trim() || key,
+        format: format ? (value) => SWIDeclarativeHandler.format(value, format) : null,
+        width: column.getAttribute('data-swi-width') || null,
+        align: column.getAttribute('data-swi-align') || null,
+        sortable: column.hasAttribute('data-swi-sortable')
+      };
+    });
+  }
+
+  /**
+   * Parse data-swi-messages JSON ({ "loading": "...", ... }), ignoring invalid JSON
+   */
+  static parseMessages(attribute) {
+    try {
+      return JSON.parse(attribute);
+    } catch (error) {
+      console.warn('SWI: data-swi-messages must be valid JSON', error);
+      return null;
+    }
+  }
+
+  /**
+   * Parse "name:3,description:1" into { name: 3, description: 1 }
+   */
+  static parseWeights(attribute) {
+    const weights = SWIDeclarativeHandler.parsePairs(attribute);
+    Object.keys(weights).forEach(key => {
+      weights[key] = parseFloat(weights[key]) || 1;
+    });
+    return weights;
+  }
+
+  /**
+   * Parse "query:q,page:p" into { query: 'q', page: 'p' }
+   */
+  static parsePairs(attribute) {
+    if (!attribute) {
+      return {};
+    }
+
+    return attribute.split(',').reduce((pairs, pair) => {
+      const [key, ...value] = pair.split(':').map(part => part.trim());
+      if (key) {
+        pairs[key] = value.join(':');
+      }
+      return pairs;
+    }, {});
+  }
+
   /**
    * Create template function from declarative template element
+   * Elements with data-swi-highlight (or every binding when options.highlight is set)
+   * render search matches wrapped in <mark class="swi-highlight">.
    */
-  static createTemplateFunction(templateElement) {
-    return (item) => {
+  static createTemplateFunction(templateElement, options = {}) {
+    return (item, context) => {
       // Clone the template
       const clone = templateElement.cloneNode(true);
       clone.style.display = '';
       clone.removeAttribute('data-swi-template');
       clone.classList.add('swi-item');
       
-      // Find all elements with data-swi-value
-      const valueElements = clone.querySelectorAll('[data-swi-value]');
+      SWIDeclarativeHandler.applyBindings(clone, { item }, context, options, true);
       
-      valueElements.forEach(element => {
-        const valuePath = element.getAttribute('data-swi-value');
-        // Extract key from path like "item.name" -> "name"
-        const key = valuePath.replace(/^item\./, '');
-        
-        // Set the text content
-        if (item[key] !== undefined && item[key] !== null) {
-          element.textContent = item[key];
-        }
-      });
+      // Return the node itself so bound values never go back through HTML parsing
+      return clone;
+    };
+  }
+
+  /**
+   * Create a group header template function from a data-swi-template="group" element
+   * Bindings use the group scope: group.label, group.count, group.total, group.collapsed...
+   */
+  static createGroupTemplateFunction(templateElement) {
+    return (group) => {
+      const clone = templateElement.cloneNode(true);
+      clone.style.display = '';
+      clone.removeAttribute('data-swi-template');
       
-      return clone.outerHTML;
+      SWIDeclarativeHandler.applyBindings(clone, { group }, null, {}, true);
+      
+      return clone;
+    };
+  }
+
+  /**
+   * Create a loading, empty or error template function from a data-swi-template element
+   * Bindings read the state context directly: message, query, noData, details...
+   */
+  static createStateTemplateFunction(templateElement) {
+    return (context) => {
+      const clone = templateElement.cloneNode(true);
+      clone.style.display = '';
+      clone.removeAttribute('data-swi-template');
+      
+      SWIDeclarativeHandler.applyBindings(clone, context, null, {}, true);
+      
+      return clone;
     };
   }
 
+  /**
+   * Apply data-swi-* bindings to an element and its descendants
+   * Supports data-swi-each, data-swi-if, data-swi-unless, data-swi-attr-*,
+   * data-swi-value and data-swi-format.
+   */
+  static applyBindings(element, scope, context, options = {}, isRoot = false) {
+    if (!isRoot) {
+      // Repeat the element for each entry: data-swi-each="tag in item.tags"
+      if (element.hasAttribute('data-swi-each')) {
+        SWIDeclarativeHandler.applyEach(element, scope, context, options);
+        return;
+      }
+
+      if (element.hasAttribute('data-swi-if')
+        && !SWIDeclarativeHandler.isTruthy(SWIDeclarativeHandler.resolveBinding(scope, element.getAttribute('data-swi-if')))) {
+        element.remove();
+        return;
+      }
+
+      if (element.hasAttribute('data-swi-unless')
+        && SWIDeclarativeHandler.isTruthy(SWIDeclarativeHandler.resolveBinding(scope, element.getAttribute('data-swi-unless')))) {
+        element.remove();
+        return;
+      }
+    }
+
+    // Attribute bindings: data-swi-attr-href="item.url"
+    Array.from(element.attributes).forEach(attribute => {
+      if (!attribute.name.startsWith('data-swi-attr-')) return;
+
+      const name = attribute.name.slice('data-swi-attr-'.length);
+      const value = SWIDeclarativeHandler.resolveBinding(scope, attribute.value);
+      if (value === undefined || value === null || value === false) {
+        element.removeAttribute(name);
+      } else if (URL_ATTRIBUTES.includes(name) && isUnsafeURL(value)) {
+        // Never bind script URLs from data
+        element.removeAttribute(name);
+      } else {
+        element.setAttribute(name, value === true ? '' : value);
+      }
+    });
+
+    if (element.hasAttribute('data-swi-value')) {
+      const valuePath = element.getAttribute('data-swi-value');
+      const value = SWIDeclarativeHandler.resolveBinding(scope, valuePath);
+      const format = element.getAttribute('data-swi-format');
+      const root = (valuePath.trim().match(/^[\w$]+/) || [])[0];
+      const isItemPath = root === 'item' || !(root in scope);
+      const highlight = context && !format && isItemPath
+        && (options.highlight || element.hasAttribute('data-swi-highlight'));
+      
+      // Set the text content
+      if (value !== undefined && value !== null) {
+        if (highlight) {
+          // Extract key from path like "item.name" -> "name"
+          element.innerHTML = context.highlight(valuePath.replace(/^item\./, ''));
+        } else {
+          element.textContent = format ? SWIDeclarativeHandler.format(value, format) : value;
+        }
+      }
+      return;
+    }
+
+    Array.from(element.children).forEach(child => {
+      SWIDeclarativeHandler.applyBindings(child, scope, context, options);
+    });
+  }
+
+  /**
+   * Expand a data-swi-each element once per entry of the bound array
+   */
+  static applyEach(element, scope, context, options) {
+    const expression = element.getAttribute('data-swi-each');
+    const match = expression.match(/^\s*([\w$]+)\s+in\s+(.+)$/);
+    const alias = match ? match[1] : 'each';
+    const entries = SWIDeclarativeHandler.resolveBinding(scope, match ? match[2].trim() : expression);
+
+    if (Array.isArray(entries)) {
+      entries.forEach((entry, index) => {
+        const clone = element.cloneNode(true);
+        clone.removeAttribute('data-swi-each');
+        element.parentNode.insertBefore(clone, element);
+        SWIDeclarativeHandler.applyBindings(clone, { ...scope, [alias]: entry, $index: index }, context, options);
+      });
+    }
+
+    element.remove();
+  }
+
+  /**
+   * Resolve a binding expression against the template scope
+   * "item.author.name" and "tag.label" read from scope; bare keys read from item.
+   */
+  static resolveBinding(scope, expression) {
+    const path = String(expression).trim();
+    const root = path.match(/^[\w$]+/);
+
+    if (root && root[0] in scope) {
+      const rest = path.slice(root[0].length).replace(/^\./, '');
+      return rest ? resolvePath(scope[root[0]], rest) : scope[root[0]];
+    }
+    return resolvePath(scope.item, path);
+  }
+
+  /**
+   * Truthiness for conditionals (empty arrays are falsy)
+   */
+  static isTruthy(value) {
+    return Array.isArray(value) ? value.length > 0 : !!value;
+  }
+
+  /**
+   * Apply a format spec such as "currency:USD", "date:long" or "truncate:80|uppercase"
+   */
+  static format(value, spec) {
+    return spec.split('|').reduce((result, part) => {
+      const [name, ...args] = part.split(':').map(token => token.trim());
+      const formatter = SWIDeclarativeHandler.formatters[name];
+      if (!formatter) {
+        console.warn(`SWI: unknown formatter "${name}"`);
+        return result;
+      }
+      return formatter(result, ...args);
+    }, value);
+  }
+
+  /**
+   * Get the locale used by formatters (from the document, else the browser default)
+   */
+  static getLocale() {
+    return (typeof document !== 'undefined' && document.documentElement.lang) || undefined;
+  }
+
   /**
    * Get instance by ID
    */
@@ -571,6 +6789,33 @@ class SWIDeclarativeHandler {
     return SWIDeclarativeHandler.instances.get(id);
   }
 
+  /**
+   * Clear cached sources: one instance's by id, or every SWI cache entry
+   */
+  static clearCache(id) {
+    if (id) {
+      const instance = SWIDeclarativeHandler.getInstance(id);
+      return instance ? instance.clearCache() : Promise.resolve();
+    }
+    return Promise.all(['auto', 'localStorage'].map(storage => getCacheStore(storage).clear()));
+  }
+
+  /**
+   * Destroy one instance by id
+   */
+  static destroy(id) {
+    const instance = SWIDeclarativeHandler.getInstance(id);
+    if (!instance) {
+      return false;
+    }
+    
+    if (!instance.destroyed) {
+      instance.destroy();
+    }
+    SWIDeclarativeHandler.instances.delete(id);
+    return true;
+  }
+
   /**
    * Destroy all instances
    */
@@ -592,7 +6837,35 @@ class SWIDeclarativeInstance extends SenangWebsIndex {
       container: config.container,
       data: config.data,
       itemTemplate: config.itemTemplate,
+      columns: config.columns || undefined,
+      view: config.view || null,
+      viewTemplates: config.viewTemplates || {},
+      viewToggles: config.viewToggles || null,
+      loading: config.loading || null,
+      loadingTemplate: config.loadingTemplate || null,
+      emptyTemplate: config.emptyTemplate || null,
+      errorTemplate: config.errorTemplate || null,
+      retry: config.retry || null,
       search: config.search || { enabled: false },
+      sort: config.sort || null,
+      facets: config.facets || [],
+      remote: config.remote || null,
+      urlSync: config.urlSync || null,
+      virtual: config.virtual || null,
+      summary: config.summary || null,
+      a11y: config.a11y || null,
+      sanitize: config.sanitize || false,
+      idKey: config.idKey || null,
+      hydrate: config.hydrate || false,
+      locale: config.locale || null,
+      messages: config.messages || null,
+      selection: config.selection || null,
+      groupBy: config.groupBy || null,
+      groupTemplate: config.groupTemplate || null,
+      format: config.format,
+      cache: config.cache || null,
+      dataPath: config.dataPath,
+      csv: config.csv,
       pagination: config.pagination || { enabled: false }
     };
     
@@ -600,40 +6873,165 @@ class SWIDeclarativeInstance extends SenangWebsIndex {
     super(options);
     
     // Store declarative-specific elements
+    this.rootElement = config.root || null;
     this.searchConfig.inputElement = config.search?.inputElement || null;
     this.searchConfig.actionElement = config.search?.actionElement || null;
+    this.sortConfig.selectElement = config.sort?.selectElement || null;
+    this.sortConfig.keyElements = config.sort?.keyElements || [];
+    this.facetConfig.clearElements = config.facetClearElements || [];
+    this.exportElements = config.exportElements || [];
+    this.exportName = config.exportName || 'export';
   }
 
   async _init() {
     try {
-      // Show loading state
-      this.showLoading();
+      // Bind once; retry() after a failed load resumes from the loading step
+      if (!this.initStarted) {
+        this.initStarted = true;
+        
+        // Restore query, page, sort and filters from the URL
+        if (this.urlSyncConfig.enabled) {
+          this._setupUrlSync();
+        }
+        
+        // Apply the initial layout and bind view toggles
+        this._setupViews();
+      }
+      
+      // Show loading state (hydration keeps the server-rendered items on screen)
+      if (!this.hydrate) {
+        this.showLoading();
+      }
+      
+      // Load data, retrying with backoff when configured
+      await this._withRetry(() => this._loadData());
       
-      // Load data
-      await this._loadData();
+      // The instance may have been destroyed while loading (e.g. its container was removed)
+      if (this.destroyed) {
+        return;
+      }
+      this.initialized = true;
       
       // Hide loading state
       this.hideLoading();
       
+      // Apply initial search and sort
+      this._updateFilteredData();
+      this._clampPage();
+      
       // Setup declarative search
       if (this.searchConfig.enabled && this.searchConfig.inputElement) {
         this._setupDeclarativeSearch();
       }
       
+      // Setup declarative sort controls
+      if (this.sortConfig.selectElement || this.sortConfig.keyElements.length > 0) {
+        this._bindSortControls();
+      }
+      
+      // Setup declarative facets
+      if (this.facetConfig.facets.length > 0) {
+        this._setupFacets();
+      }
+      this._setupFacetClear();
+      
+      // Setup declarative export buttons
+      this._setupExportButtons();
+      
       // Setup pagination
-      if (this.paginationConfig.enabled && this.paginationConfig.selector) {
-        this.paginationConfig.containerElement = document.querySelector(this.paginationConfig.selector);
+      this._setupPagination();
+      
+      // Reflect restored state in the search input
+      this._syncSearchInput();
+      
+      // Keep server-rendered item nodes when hydrating
+      if (this.hydrate) {
+        this._adoptRenderedItems();
       }
       
       // Initial render
       this.render();
     } catch (error) {
+      if (this.destroyed) {
+        return;
+      }
       console.error('SWI: Initialization failed', error);
-      this.showError('Failed to load data', error.message);
+      this.showError(this._message('error'), error.message);
+      this._emit('error', { error });
       throw error;
     }
   }
 
+  /**
+   * Bind data-swi-facet-clear buttons (optionally scoped to one key)
+   */
+  _setupFacetClear() {
+    (this.facetConfig.clearElements || []).forEach(element => {
+      const clickHandler = (e) => {
+        e.preventDefault();
+        const key = element.getAttribute('data-swi-facet-clear');
+        if (key) {
+          this.removeFilter(key);
+        } else {
+          this.clearFilters();
+        }
+        // Reset range inputs, which are not rebuilt on render
+        this.facetConfig.facets
+          .filter(facet => facet.element && (!key || facet.key === key))
+          .forEach(facet => {
+            facet.element.querySelectorAll('[data-swi-facet-bound]').forEach(input => {
+              input.value = '';
+            });
+          });
+      };
+
+      element.addEventListener('click', clickHandler);
+      this.eventListeners.push({
+        element,
+        event: 'click',
+        handler: clickHandler
+      });
+    });
+  }
+
+  /**
+   * Bind data-swi-export buttons
+   */
+  _setupExportButtons() {
+    this.exportElements.forEach(element => {
+      const fail = (error) => {
+        console.error('SWI: Export failed', error);
+        this._emit('error', { error });
+      };
+      const clickHandler = (e) => {
+        e.preventDefault();
+        let result;
+        try {
+          // Throws for an unknown data-swi-export format or a failed serialize
+          result = this.export(SWIDeclarativeHandler.parseExportOptions(element, this.exportName));
+        } catch (error) {
+          fail(error);
+          return;
+        }
+
+        // Flag a finished copy so the button can show feedback
+        if (result && typeof result.then === 'function') {
+          result.then(() => {
+            element.classList.add('swi-export-copied');
+            setTimeout(() => element.classList.remove('swi-export-copied'), 2000);
+          }).catch(fail);
+        }
+      };
+
+      element.addEventListener('click', clickHandler);
+      this.eventListeners.push({
+        element,
+        event: 'click',
+        handler: clickHandler
+      });
+    });
+  }
+
   _setupDeclarativeSearch() {
     const inputElement = this.searchConfig.inputElement;
     const actionElement = this.searchConfig.actionElement;
@@ -669,21 +7067,29 @@ class SWIDeclarativeInstance extends SenangWebsIndex {
   }
 }
 
-// Auto-initialize on DOM ready
-if (typeof window !== 'undefined') {
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => {
+// Auto-initialize on DOM ready. Nothing runs without a DOM (e.g. in Node), and
+// SWIDeclarativeHandler.autoInit = false or window.SWI_AUTO_INIT = false opts out.
+if (typeof window !== 'undefined' && typeof document !== 'undefined') {
+  const autoInit = () => {
+    if (SWIDeclarativeHandler.autoInit && window.SWI_AUTO_INIT !== false) {
       SWIDeclarativeHandler.init();
-    });
+      if (SWIDeclarativeHandler.observeMutations || window.SWI_OBSERVE === true) {
+        SWIDeclarativeHandler.observe();
+      }
+    }
+  };
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', autoInit);
   } else {
-    // DOM is already ready
-    SWIDeclarativeHandler.init();
+    // DOM is already ready; wait a microtask so the importing module can opt out
+    Promise.resolve().then(autoInit);
   }
 }
 
 // Export for module systems
 export default SenangWebsIndex;
-export { SenangWebsIndex, SWIDeclarativeHandler };
+export { SenangWebsIndex, SWIDeclarativeHandler, SWIQueryError, html, escapeHTML, sanitizeHTML };
 
 // Global exposure for UMD
 if (typeof window !== 'undefined') {